@@ -0,0 +1,384 @@
+// Capa de almacenamiento del Orquestador.
+//
+// Cada coleccion (vehiculos, contratos, outbox...) es un objeto plano que se
+// lee completo al arrancar y se escribe completo en cada cambio. Hay dos
+// backends con la misma interfaz:
+//
+//   json:   un archivo <coleccion>.json por coleccion. Se escribe en un
+//           archivo temporal que luego se renombra (el rename es atomico), y
+//           antes de reemplazarlo se rota una copia a <coleccion>.json.1..N
+//           si la copia .1 tiene mas de intervaloRespaldosMs.
+//   sqlite: una base embebida (better-sqlite3, dependencia opcional) con un
+//           renglon por llave de primer nivel; cada escritura es una
+//           transaccion.
+//
+// Un almacen danado NUNCA se trata como vacio: leer() lanza un error con
+// code 'ALMACEN_CORRUPTO' para que el proceso no arranque y no sobrescriba
+// los datos.
+//
+// Ademas de colecciones hay bitacoras de solo agregar (auditoria): en json
+// son archivos <bitacora>.jsonl con una entrada por linea; en sqlite una
+// tabla con id autoincremental. Nunca se reescriben.
+
+const fs = require('fs');
+const path = require('path');
+
+const ALMACEN_CORRUPTO = 'ALMACEN_CORRUPTO';
+
+function errorAlmacenCorrupto(mensaje, causa) {
+  const err = new Error(mensaje);
+  err.code = ALMACEN_CORRUPTO;
+  if (causa) err.cause = causa;
+  return err;
+}
+
+function esObjetoPlano(valor) {
+  return !!valor && typeof valor === 'object' && !Array.isArray(valor);
+}
+
+// ---------------------------
+// Backend JSON
+// ---------------------------
+
+const TAMANO_BLOQUE_BITACORA = 64 * 1024;
+
+// Lineas (sin el salto) de un archivo abierto, leido por bloques del inicio
+// al final. Se corta en bytes '\n', que en UTF-8 nunca es parte de otro
+// caracter.
+function* lineasDesdeElInicio(fd) {
+  const bloque = Buffer.alloc(TAMANO_BLOQUE_BITACORA);
+  let resto = Buffer.alloc(0);
+  let leidos;
+  while ((leidos = fs.readSync(fd, bloque, 0, bloque.length, null)) > 0) {
+    const datos = Buffer.concat([resto, bloque.subarray(0, leidos)]);
+    let inicio = 0;
+    let fin;
+    while ((fin = datos.indexOf(0x0a, inicio)) !== -1) {
+      yield datos.subarray(inicio, fin);
+      inicio = fin + 1;
+    }
+    resto = datos.subarray(inicio);
+  }
+  if (resto.length > 0) yield resto;
+}
+
+// Igual, de la ultima linea a la primera
+function* lineasDesdeElFinal(fd) {
+  const bloque = Buffer.alloc(TAMANO_BLOQUE_BITACORA);
+  let posicion = fs.fstatSync(fd).size;
+  let resto = Buffer.alloc(0);
+  while (posicion > 0) {
+    const tamano = Math.min(bloque.length, posicion);
+    posicion -= tamano;
+    fs.readSync(fd, bloque, 0, tamano, posicion);
+    const datos = Buffer.concat([bloque.subarray(0, tamano), resto]);
+    let fin = datos.length;
+    let salto;
+    while (fin > 0 && (salto = datos.lastIndexOf(0x0a, fin - 1)) !== -1) {
+      yield datos.subarray(salto + 1, fin);
+      fin = salto;
+    }
+    resto = datos.subarray(0, fin);
+  }
+  if (resto.length > 0) yield resto;
+}
+
+function crearAlmacenJson({ dir, respaldos = 3, intervaloRespaldosMs = 0 }) {
+  const ruta = (coleccion) => path.join(dir, `${coleccion}.json`);
+
+  function leer(coleccion) {
+    const archivo = ruta(coleccion);
+    if (!fs.existsSync(archivo)) return null;
+
+    const raw = fs.readFileSync(archivo, 'utf8');
+    let datos;
+    try {
+      datos = JSON.parse(raw);
+    } catch (err) {
+      throw errorAlmacenCorrupto(
+        `${archivo} no es JSON valido (${err.message}). Restaura una copia ${archivo}.1..${respaldos} o corrige el archivo.`,
+        err
+      );
+    }
+    if (!esObjetoPlano(datos)) {
+      throw errorAlmacenCorrupto(`${archivo} no contiene un objeto JSON.`);
+    }
+    return datos;
+  }
+
+  // Desplaza <archivo>.1 -> .2 ... y copia el archivo vigente a .1. Si .1
+  // es mas reciente que intervaloRespaldosMs no se rota (la fecha de
+  // modificacion de .1 es la de la ultima rotacion, tambien tras reiniciar).
+  function rotarRespaldos(archivo) {
+    if (respaldos <= 0 || !fs.existsSync(archivo)) return;
+    if (intervaloRespaldosMs > 0) {
+      const ultimo = `${archivo}.1`;
+      if (
+        fs.existsSync(ultimo) &&
+        Date.now() - fs.statSync(ultimo).mtimeMs < intervaloRespaldosMs
+      ) {
+        return;
+      }
+    }
+    for (let i = respaldos - 1; i >= 1; i -= 1) {
+      const origen = `${archivo}.${i}`;
+      if (fs.existsSync(origen)) fs.renameSync(origen, `${archivo}.${i + 1}`);
+    }
+    fs.copyFileSync(archivo, `${archivo}.1`);
+  }
+
+  function escribir(coleccion, datos) {
+    const archivo = ruta(coleccion);
+    const temporal = `${archivo}.tmp-${process.pid}`;
+
+    const fd = fs.openSync(temporal, 'w');
+    try {
+      fs.writeFileSync(fd, JSON.stringify(datos, null, 2), 'utf8');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    rotarRespaldos(archivo);
+    fs.renameSync(temporal, archivo);
+  }
+
+  const rutaBitacora = (bitacora) => path.join(dir, `${bitacora}.jsonl`);
+
+  function agregar(bitacora, entrada) {
+    fs.appendFileSync(rutaBitacora(bitacora), JSON.stringify(entrada) + '\n', 'utf8');
+  }
+
+  // Entradas en orden de escritura (o de la mas reciente a la mas antigua
+  // con desdeElFinal). El archivo se lee por bloques, asi quien deja de
+  // iterar antes (p. ej. al llegar a una fecha) no lee la bitacora completa.
+  // Una linea incompleta (caida a media escritura) se omite en lugar de
+  // invalidar toda la bitacora.
+  function* leerBitacora(bitacora, { desdeElFinal = false } = {}) {
+    const archivo = rutaBitacora(bitacora);
+    if (!fs.existsSync(archivo)) return;
+
+    const fd = fs.openSync(archivo, 'r');
+    try {
+      const lineas = desdeElFinal
+        ? lineasDesdeElFinal(fd)
+        : lineasDesdeElInicio(fd);
+      for (const buffer of lineas) {
+        const linea = buffer.toString('utf8');
+        if (!linea.trim()) continue;
+        try {
+          yield JSON.parse(linea);
+        } catch (err) {
+          console.warn(`Linea invalida omitida en ${archivo}: ${err.message}`);
+        }
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  return {
+    tipo: 'json',
+    ubicacion: dir,
+    leer,
+    escribir,
+    agregar,
+    leerBitacora,
+    cerrar() {}
+  };
+}
+
+// ---------------------------
+// Backend SQLite
+// ---------------------------
+
+function crearAlmacenSqlite({ archivo }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error(
+      'El backend sqlite requiere el paquete better-sqlite3 (npm install better-sqlite3).'
+    );
+  }
+
+  let db;
+  try {
+    db = new Database(archivo);
+    db.pragma('journal_mode = WAL');
+    const revision = db.pragma('quick_check', { simple: true });
+    if (revision !== 'ok') {
+      throw new Error(`quick_check: ${revision}`);
+    }
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS colecciones (
+        nombre TEXT PRIMARY KEY,
+        actualizado_en TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS registros (
+        coleccion TEXT NOT NULL,
+        clave TEXT NOT NULL,
+        datos TEXT NOT NULL,
+        PRIMARY KEY (coleccion, clave)
+      );
+      CREATE TABLE IF NOT EXISTS bitacoras (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bitacora TEXT NOT NULL,
+        datos TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS bitacoras_por_nombre ON bitacoras (bitacora, id);
+    `);
+  } catch (err) {
+    if (db) db.close();
+    throw errorAlmacenCorrupto(
+      `No se pudo abrir la base SQLite ${archivo}: ${err.message}`,
+      err
+    );
+  }
+
+  const stmtColeccion = db.prepare('SELECT nombre FROM colecciones WHERE nombre = ?');
+  const stmtRegistros = db.prepare(
+    'SELECT clave, datos FROM registros WHERE coleccion = ?'
+  );
+  const stmtBorrar = db.prepare('DELETE FROM registros WHERE coleccion = ?');
+  const stmtInsertar = db.prepare(
+    'INSERT INTO registros (coleccion, clave, datos) VALUES (?, ?, ?)'
+  );
+  const stmtMarcar = db.prepare(
+    `INSERT INTO colecciones (nombre, actualizado_en) VALUES (?, ?)
+     ON CONFLICT(nombre) DO UPDATE SET actualizado_en = excluded.actualizado_en`
+  );
+
+  const stmtAgregar = db.prepare(
+    'INSERT INTO bitacoras (bitacora, datos) VALUES (?, ?)'
+  );
+  const stmtBitacora = db.prepare(
+    'SELECT datos FROM bitacoras WHERE bitacora = ? ORDER BY id'
+  );
+  const stmtBitacoraDesc = db.prepare(
+    'SELECT datos FROM bitacoras WHERE bitacora = ? ORDER BY id DESC'
+  );
+
+  const reemplazar = db.transaction((coleccion, datos) => {
+    stmtBorrar.run(coleccion);
+    for (const [clave, valor] of Object.entries(datos)) {
+      stmtInsertar.run(coleccion, clave, JSON.stringify(valor));
+    }
+    stmtMarcar.run(coleccion, new Date().toISOString());
+  });
+
+  function leer(coleccion) {
+    if (!stmtColeccion.get(coleccion)) return null;
+
+    const datos = {};
+    for (const { clave, datos: raw } of stmtRegistros.all(coleccion)) {
+      try {
+        datos[clave] = JSON.parse(raw);
+      } catch (err) {
+        throw errorAlmacenCorrupto(
+          `Registro ${coleccion}/${clave} en ${archivo} no es JSON valido (${err.message}).`,
+          err
+        );
+      }
+    }
+    return datos;
+  }
+
+  function escribir(coleccion, datos) {
+    reemplazar(coleccion, datos);
+  }
+
+  function agregar(bitacora, entrada) {
+    stmtAgregar.run(bitacora, JSON.stringify(entrada));
+  }
+
+  function* leerBitacora(bitacora, { desdeElFinal = false } = {}) {
+    const stmt = desdeElFinal ? stmtBitacoraDesc : stmtBitacora;
+    for (const { datos } of stmt.iterate(bitacora)) {
+      yield JSON.parse(datos);
+    }
+  }
+
+  return {
+    tipo: 'sqlite',
+    ubicacion: archivo,
+    leer,
+    escribir,
+    agregar,
+    leerBitacora,
+    cerrar() {
+      db.close();
+    }
+  };
+}
+
+// ---------------------------
+// Fabrica y migracion
+// ---------------------------
+
+function crearAlmacen({ tipo = 'json', dir, respaldos, intervaloRespaldosMs, archivoSqlite }) {
+  if (tipo === 'json') return crearAlmacenJson({ dir, respaldos, intervaloRespaldosMs });
+  if (tipo === 'sqlite') {
+    return crearAlmacenSqlite({
+      archivo: archivoSqlite || path.join(dir, 'orquestador.sqlite')
+    });
+  }
+  throw new Error(`Backend de almacenamiento desconocido: ${tipo}`);
+}
+
+// Importa a un almacen no-JSON las colecciones que solo existen como archivo
+// <coleccion>.json en dir (instalaciones previas a la capa de almacenamiento)
+// y las bitacoras <bitacora>.jsonl. El archivo importado se renombra a
+// *.migrado para que no se confunda con datos vigentes. Un nombre de bitacora
+// terminado en '*' abarca todas las que empiezan con ese prefijo. Regresa los
+// nombres importados.
+function migrarDesdeArchivosJson(almacen, dir, colecciones, bitacoras = []) {
+  if (almacen.tipo === 'json') return [];
+
+  const origen = crearAlmacenJson({ dir, respaldos: 0 });
+  const migradas = [];
+
+  const archivos = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  const nombresBitacoras = bitacoras.flatMap((bitacora) => {
+    if (!bitacora.endsWith('*')) return [bitacora];
+    const prefijo = bitacora.slice(0, -1);
+    return archivos
+      .filter((archivo) => archivo.startsWith(prefijo) && archivo.endsWith('.jsonl'))
+      .map((archivo) => archivo.slice(0, -'.jsonl'.length));
+  });
+
+  for (const coleccion of colecciones) {
+    if (almacen.leer(coleccion) !== null) continue;
+
+    const datos = origen.leer(coleccion);
+    if (datos === null) continue;
+
+    almacen.escribir(coleccion, datos);
+    const archivo = path.join(dir, `${coleccion}.json`);
+    fs.renameSync(archivo, `${archivo}.migrado`);
+    migradas.push(coleccion);
+  }
+
+  for (const bitacora of new Set(nombresBitacoras)) {
+    const archivo = path.join(dir, `${bitacora}.jsonl`);
+    if (!fs.existsSync(archivo)) continue;
+    const existentes = almacen.leerBitacora(bitacora);
+    const tieneEntradas = !existentes.next().done;
+    existentes.return();
+    if (tieneEntradas) continue;
+
+    for (const entrada of origen.leerBitacora(bitacora)) {
+      almacen.agregar(bitacora, entrada);
+    }
+    fs.renameSync(archivo, `${archivo}.migrado`);
+    migradas.push(bitacora);
+  }
+
+  return migradas;
+}
+
+module.exports = {
+  ALMACEN_CORRUPTO,
+  crearAlmacen,
+  migrarDesdeArchivosJson
+};
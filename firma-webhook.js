@@ -0,0 +1,104 @@
+// Firma HMAC-SHA256 de los eventos que el Orquestador envia a ORQ_EVENT_URL.
+//
+// Encabezado: x-ama-signature: t=<epoch segundos>,v1=<hex>[,v1=<hex>...]
+// La firma se calcula sobre "<t>.<cuerpo crudo>" con el secreto compartido.
+// Durante una rotacion de secreto se envia una firma v1 por cada secreto
+// vigente, asi el receptor puede validar con el secreto viejo o con el nuevo.
+//
+// Este archivo no depende del resto del Orquestador; los servicios que
+// reciben eventos pueden copiarlo o requerirlo tal cual.
+
+const crypto = require('crypto');
+
+const HEADER_FIRMA = 'x-ama-signature';
+const TOLERANCIA_DEFAULT_SEGUNDOS = 300;
+
+function calcularFirma(secreto, timestamp, cuerpoRaw) {
+  return crypto
+    .createHmac('sha256', secreto)
+    .update(`${timestamp}.${cuerpoRaw}`, 'utf8')
+    .digest('hex');
+}
+
+// Genera el valor del encabezado x-ama-signature.
+// secretos: string o arreglo de strings (el primero es el vigente).
+function firmarPayload(cuerpoRaw, secretos, timestamp) {
+  const lista = (Array.isArray(secretos) ? secretos : [secretos]).filter(Boolean);
+  if (lista.length === 0) {
+    throw new Error('Se requiere al menos un secreto para firmar');
+  }
+
+  const t = timestamp || Math.floor(Date.now() / 1000);
+  const firmas = lista.map((secreto) => `v1=${calcularFirma(secreto, t, cuerpoRaw)}`);
+  return [`t=${t}`, ...firmas].join(',');
+}
+
+function parsearEncabezado(encabezado) {
+  const resultado = { timestamp: null, firmas: [] };
+  if (!encabezado || typeof encabezado !== 'string') return resultado;
+
+  for (const parte of encabezado.split(',')) {
+    const [clave, valor] = parte.trim().split('=');
+    if (clave === 't') {
+      const t = parseInt(valor, 10);
+      resultado.timestamp = Number.isNaN(t) ? null : t;
+    } else if (clave === 'v1' && valor) {
+      resultado.firmas.push(valor);
+    }
+  }
+
+  return resultado;
+}
+
+function compararSeguro(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  if (bufA.length === 0 || bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Verifica un evento recibido. cuerpoRaw debe ser el cuerpo EXACTO recibido
+// (por ejemplo con express.raw() o el parametro verify de express.json()),
+// no un JSON.stringify del objeto ya parseado.
+//
+// Regresa { valido: true } o { valido: false, motivo }.
+function verificarFirma({
+  cuerpoRaw,
+  encabezado,
+  secretos,
+  toleranciaSegundos = TOLERANCIA_DEFAULT_SEGUNDOS,
+  ahora = Math.floor(Date.now() / 1000)
+}) {
+  const lista = (Array.isArray(secretos) ? secretos : [secretos]).filter(Boolean);
+  if (lista.length === 0) {
+    return { valido: false, motivo: 'SIN_SECRETO' };
+  }
+
+  const { timestamp, firmas } = parsearEncabezado(encabezado);
+  if (!timestamp || firmas.length === 0) {
+    return { valido: false, motivo: 'ENCABEZADO_INVALIDO' };
+  }
+
+  if (toleranciaSegundos > 0 && Math.abs(ahora - timestamp) > toleranciaSegundos) {
+    return { valido: false, motivo: 'FUERA_DE_TOLERANCIA' };
+  }
+
+  const raw = Buffer.isBuffer(cuerpoRaw) ? cuerpoRaw.toString('utf8') : String(cuerpoRaw);
+
+  for (const secreto of lista) {
+    const esperada = calcularFirma(secreto, timestamp, raw);
+    if (firmas.some((f) => compararSeguro(f, esperada))) {
+      return { valido: true };
+    }
+  }
+
+  return { valido: false, motivo: 'FIRMA_NO_COINCIDE' };
+}
+
+module.exports = {
+  HEADER_FIRMA,
+  TOLERANCIA_DEFAULT_SEGUNDOS,
+  firmarPayload,
+  verificarFirma,
+  parsearEncabezado
+};
@@ -2,33 +2,60 @@ require('dotenv').config();
 
 const express = require('express');
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
-const { DateTime } = require('luxon');
+const crypto = require('crypto');
+const { DateTime, IANAZone } = require('luxon');
+const { HEADER_FIRMA, firmarPayload } = require('./firma-webhook');
+const { crearAlmacen, migrarDesdeArchivosJson } = require('./almacen');
 
 const app = express();
 app.use(express.json());
 
-// 🔐 Middleware de autenticación por API key
+// Detras de un proxy inverso, req.ip debe venir de X-Forwarded-For para que
+// los limites por IP no agrupen a todos los clientes (ej. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const saltos = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(saltos) ? process.env.TRUST_PROXY : saltos);
+}
+
+// 🔐 Middleware de autenticación por API key (ver "API keys con permisos").
+// Los permisos de cada ruta se revisan con permitir(scope) y los limites de
+// uso con limitar(presupuesto).
 app.use((req, res, next) => {
-  const expectedKey = process.env.AMA_API_KEY;
+  // Health check publico para el orquestador de contenedores
+  if (req.path === '/api/health') return next();
 
-  // Si no hay key configurada, es un error de configuración, no dejamos pasar
-  if (!expectedKey) {
-    console.error('❌ AMA_API_KEY no está definida en las variables de entorno');
+  // Si no hay ninguna key configurada, es un error de configuración, no dejamos pasar
+  if (!API_KEY_MAESTRA && Object.keys(API_KEYS).length === 0) {
+    console.error('❌ No hay API keys: define AMA_API_KEY en las variables de entorno');
     return res.status(500).json({
       error: 'Error de configuración del servidor (AMA_API_KEY no definida)'
     });
   }
 
+  const ahora = Date.now();
+  const bloqueoRestante = bloqueoAuthRestante(req.ip, ahora);
+  if (bloqueoRestante > 0) {
+    return responderLimiteExcedido(
+      res,
+      bloqueoRestante,
+      'Demasiados intentos de autenticacion fallidos. IP bloqueada temporalmente.'
+    );
+  }
+
   // OJO: nombre EXACTO del header
-  const token = req.header('x-ama-api-key');
+  const apiKey = autenticarApiKey(req.header('x-ama-api-key'));
 
-  if (!token || token !== expectedKey) {
+  if (!apiKey) {
+    registrarFalloAuth(req.ip, ahora);
     return res.status(401).json({ error: 'No autorizado' });
   }
 
-  next();
+  FALLOS_AUTH.delete(req.ip);
+  req.apiKey = apiKey;
+  // Identidad del llamante para la auditoria
+  req.actor = { tipo: 'api-key', keyId: apiKey.id, nombre: apiKey.nombre };
+
+  if (aplicarPresupuesto('general', req, res)) next();
 });
 
 
@@ -37,10 +64,93 @@ app.use((req, res, next) => {
 // En local: carpeta del proyecto (si no existe DATA_DIR).
 const DATA_DIR = process.env.DATA_DIR || __dirname;
 
-// Archivo donde se guardan los vehículos
-const VEHICULOS_FILE = path.join(DATA_DIR, 'vehiculos.json');
+// Backend de almacenamiento (ver almacen.js):
+//   json   -> <coleccion>.json en DATA_DIR, escritura atomica + respaldos
+//   sqlite -> base embebida (ALMACEN_SQLITE_ARCHIVO o DATA_DIR/orquestador.sqlite)
+const ALMACEN_BACKEND = (process.env.ALMACEN_BACKEND || 'json').toLowerCase();
+const ALMACEN_RESPALDOS = enteroDeEntorno('ALMACEN_RESPALDOS', 3, 0);
+// Los respaldos se rotan como maximo una vez por este intervalo; las
+// colecciones que se escriben cada pocos segundos (outbox, comandos) no
+// dejan asi todas las copias con segundos de antiguedad. 0 = en cada escritura.
+const ALMACEN_RESPALDOS_INTERVALO_MINUTOS = enteroDeEntorno(
+  'ALMACEN_RESPALDOS_INTERVALO_MINUTOS',
+  60,
+  0
+);
+
+// Colecciones persistidas:
+//   vehiculos      -> configuracion de cada vehiculo
+//   contratos      -> datos a nivel contrato (zona horaria, lugares...)
+//   estado-runtime -> estado de corte y de Zonas Seguras
+//   outbox         -> eventos pendientes / fallidos hacia ORQ_EVENT_URL
+//   comandos       -> seguimiento de comandos de motor
+//   api-keys       -> API keys con permisos (solo hash)
+//   siniestros     -> historial de siniestros con su linea de tiempo
+//   programaciones -> cortes / reanudaciones programados
+const COLECCIONES = [
+  'vehiculos',
+  'contratos',
+  'estado-runtime',
+  'outbox',
+  'comandos',
+  'api-keys',
+  'siniestros',
+  'programaciones'
+];
+// Bitacoras de solo agregar:
+//   auditoria            -> operaciones que modifican datos (POST/PUT/DELETE)
+//   siniestro-posiciones -> recorrido de los siniestros (una bitacora
+//                           siniestro-posiciones-<siniestroId> por siniestro)
+const BITACORAS = ['auditoria', 'siniestro-posiciones', 'siniestro-posiciones-*'];
+
+let ALMACEN;
+try {
+  ALMACEN = crearAlmacen({
+    tipo: ALMACEN_BACKEND,
+    dir: DATA_DIR,
+    respaldos: ALMACEN_RESPALDOS,
+    intervaloRespaldosMs: ALMACEN_RESPALDOS_INTERVALO_MINUTOS * 60 * 1000,
+    archivoSqlite: process.env.ALMACEN_SQLITE_ARCHIVO
+  });
+
+  const migradas = migrarDesdeArchivosJson(
+    ALMACEN,
+    DATA_DIR,
+    COLECCIONES,
+    BITACORAS
+  );
+  if (migradas.length > 0) {
+    console.log(
+      `Colecciones migradas de archivos JSON a ${ALMACEN.tipo}: ${migradas.join(', ')}`
+    );
+  }
+} catch (err) {
+  console.error('❌ No se pudo abrir el almacenamiento:', err.message);
+  process.exit(1);
+}
+
+console.log(`Almacenamiento ${ALMACEN.tipo} en:`, ALMACEN.ubicacion);
+
+// Lee una coleccion completa (null si aun no existe). Un almacen danado
+// detiene el arranque: continuar con datos vacios terminaria sobrescribiendo
+// la informacion que todavia se puede recuperar.
+function leerColeccion(nombre) {
+  try {
+    return ALMACEN.leer(nombre);
+  } catch (err) {
+    console.error(`❌ No se pudo leer la coleccion ${nombre}:`, err.message);
+    console.error('El Orquestador no arranca con el almacenamiento danado.');
+    process.exit(1);
+  }
+}
 
-console.log('Usando archivo de vehículos en:', VEHICULOS_FILE);
+function escribirColeccion(nombre, datos) {
+  try {
+    ALMACEN.escribir(nombre, datos);
+  } catch (err) {
+    console.error(`Error guardando la coleccion ${nombre}:`, err.message);
+  }
+}
 
 
 // ---------------------------
@@ -56,6 +166,17 @@ const TRACCAR_API_TOKEN = process.env.TRACCAR_API_TOKEN;
 // URL del orquestador para eventos de Zona Segura
 const ORQ_EVENT_URL = process.env.ORQ_EVENT_URL || null;
 
+// Secretos para firmar eventos (HMAC-SHA256). Para rotar: poner el nuevo en
+// ORQ_EVENT_SECRET y el viejo en ORQ_EVENT_SECRET_ANTERIOR hasta que todos
+// los receptores usen el nuevo; mientras tanto se envian ambas firmas.
+const ORQ_EVENT_SECRETS = [
+  process.env.ORQ_EVENT_SECRET,
+  process.env.ORQ_EVENT_SECRET_ANTERIOR
+].filter(Boolean);
+
+// Version del esquema de los eventos enviados a ORQ_EVENT_URL
+const EVENTOS_VERSION_ESQUEMA = 1;
+
 // Intervalo de evaluacion de Zona Segura
 const ZONA_SEGURA_INTERVALO_SEGUNDOS = parseInt(
   process.env.ZONA_SEGURA_INTERVALO_SEGUNDOS || '60',
@@ -66,6 +187,23 @@ const ZONA_SEGURA_INTERVALO_MS =
     ? 0
     : ZONA_SEGURA_INTERVALO_SEGUNDOS * 1000;
 
+// Entero de una variable de entorno. Un valor no numerico o menor que
+// minimo se reporta y se reemplaza por el default, para que una mala
+// configuracion no desactive reintentos, limites o ventanas. minimo = 0 para
+// los intervalos en los que 0 desactiva el worker.
+function enteroDeEntorno(variable, porDefecto, minimo = 1) {
+  const crudo = process.env[variable];
+  if (crudo === undefined || crudo === '') return porDefecto;
+  const valor = parseInt(crudo, 10);
+  if (Number.isNaN(valor) || valor < minimo) {
+    console.warn(
+      `⚠️ ${variable}="${crudo}" no es un entero >= ${minimo}; se usa ${porDefecto}.`
+    );
+    return porDefecto;
+  }
+  return valor;
+}
+
 if (!TRACCAR_BASE_URL || !TRACCAR_API_TOKEN) {
   console.warn(
     '⚠️ Falta configurar TRACCAR_BASE_URL / TRACCAR_API_TOKEN en .env'
@@ -79,6 +217,10 @@ if (!ORQ_EVENT_URL) {
   console.warn(
     'ℹ️ ORQ_EVENT_URL no configurada. Se omiten envios de eventos de Zona Segura.'
   );
+} else if (ORQ_EVENT_SECRETS.length === 0) {
+  console.warn(
+    '⚠️ ORQ_EVENT_SECRET no configurado. Los eventos se envian sin firma HMAC.'
+  );
 }
 
 const traccarClient = axios.create({
@@ -90,613 +232,5905 @@ const traccarClient = axios.create({
   timeout: 10000
 });
 
-// Umbral de seguridad para corte remoto
+// Zona horaria por defecto del servidor. Cada contrato puede definir la suya
+// y cada vehiculo sobrescribirla (ver zonaHorariaDe).
+const ZONA_HORARIA_DEFAULT_ENV =
+  process.env.ZONA_HORARIA_DEFAULT || 'America/Mexico_City';
+const ZONA_HORARIA_DEFAULT = IANAZone.isValidZone(ZONA_HORARIA_DEFAULT_ENV)
+  ? ZONA_HORARIA_DEFAULT_ENV
+  : 'America/Mexico_City';
+
+if (ZONA_HORARIA_DEFAULT !== ZONA_HORARIA_DEFAULT_ENV) {
+  console.warn(
+    `⚠️ ZONA_HORARIA_DEFAULT "${ZONA_HORARIA_DEFAULT_ENV}" no es una zona IANA valida. Se usa America/Mexico_City.`
+  );
+}
+
+// Umbral de seguridad para corte remoto (default; ver parametrosCorteSeguro)
 const CORTE_UMBRAL_KMH = 20;
 
 // ---------------------------
-// Persistencia simple en archivo
+// Zonas Seguras: modelo y estado
 // ---------------------------
 
-let VEHICULOS = {};
-let ESTADO_CORTE = {}; // memoria en runtime
-let ESTADO_ZONA = {}; // estado de zona segura por vehiculo: 'dentro' | 'fuera' | 'fuera_horario' | 'desconocido'
+// Id de la zona que administran los endpoints /zona-segura (una sola zona por
+// vehiculo, como antes de las zonas multiples)
+const ZONA_PRINCIPAL_ID = 'principal';
+const ZONAS_SEGURAS_MAX = enteroDeEntorno('ZONAS_SEGURAS_MAX', 5);
+const ZONA_ID_REGEX = /^[A-Za-z0-9_-]{1,40}$/;
+const DIAS_SEMANA_VALIDOS = new Set(['LU', 'MA', 'MI', 'JU', 'VI', 'SA', 'DO']);
+
+// Zonas poligonales: margen de histeresis fuera del borde y limite de vertices
+const ZONA_POLIGONO_MARGEN_DEFAULT_M = 10;
+const ZONA_POLIGONO_MAX_VERTICES = 500;
+
+// Vehiculos guardados con config.zonaSegura (una sola zona) pasan a
+// config.zonasSeguras con esa zona como 'principal'
+function migrarZonasSeguras(config) {
+  if (Array.isArray(config.zonasSeguras)) return false;
+  config.zonasSeguras = config.zonaSegura
+    ? [{ id: ZONA_PRINCIPAL_ID, ...config.zonaSegura }]
+    : [];
+  delete config.zonaSegura;
+  return true;
+}
 
-function cargarVehiculos() {
-  try {
-    if (fs.existsSync(VEHICULOS_FILE)) {
-      const raw = fs.readFileSync(VEHICULOS_FILE, 'utf8');
-      VEHICULOS = raw ? JSON.parse(raw) : {};
-    } else {
-      VEHICULOS = {};
-    }
-  } catch (err) {
-    console.error('Error cargando vehiculos.json:', err.message);
-    VEHICULOS = {};
-  }
+function zonasSegurasDe(config) {
+  return Array.isArray(config.zonasSeguras) ? config.zonasSeguras : [];
 }
 
-function guardarVehiculos() {
-  try {
-    fs.writeFileSync(VEHICULOS_FILE, JSON.stringify(VEHICULOS, null, 2), 'utf8');
-  } catch (err) {
-    console.error('Error guardando vehiculos.json:', err.message);
-  }
+function buscarZonaSegura(config, zonaId) {
+  return zonasSegurasDe(config).find((z) => z.id === zonaId) || null;
 }
 
-cargarVehiculos();
+function registroEstadoZona(vehiculoId, zonaId) {
+  return (ESTADO_ZONA[vehiculoId] && ESTADO_ZONA[vehiculoId][zonaId]) || null;
+}
 
-// ---------------------------
-// Helpers Traccar
-// ---------------------------
+function estadoZona(vehiculoId, zonaId) {
+  const registro = registroEstadoZona(vehiculoId, zonaId);
+  return registro ? registro.estado : 'desconocido';
+}
 
-async function getAllDevices() {
-  const resp = await traccarClient.get('/devices');
-  return resp.data || [];
+// Solo una transicion real cambia 'desde' y se persiste
+function setEstadoZona(vehiculoId, zonaId, estado) {
+  if (estadoZona(vehiculoId, zonaId) === estado) return;
+  if (!ESTADO_ZONA[vehiculoId]) ESTADO_ZONA[vehiculoId] = {};
+  ESTADO_ZONA[vehiculoId][zonaId] = {
+    estado,
+    desde: new Date().toISOString()
+  };
+  programarGuardadoEstadoRuntime();
 }
 
-async function getDeviceAndPositionByUniqueId(uniqueId) {
-  const devices = await getAllDevices();
-  const device = devices.find((d) => d.uniqueId === uniqueId);
-  if (!device) {
-    throw new Error('Device no encontrado para uniqueId ' + uniqueId);
+// Sin zonaId reinicia todas las zonas del vehiculo
+function reiniciarEstadoZona(vehiculoId, zonaId) {
+  if (zonaId === undefined) {
+    ESTADO_ZONA[vehiculoId] = {};
+  } else if (ESTADO_ZONA[vehiculoId]) {
+    delete ESTADO_ZONA[vehiculoId][zonaId];
   }
+  programarGuardadoEstadoRuntime();
+}
 
-  let position = null;
-  if (device.positionId) {
-    const posResp = await traccarClient.get('/positions', {
-      params: { id: device.positionId }
-    });
-    if (Array.isArray(posResp.data) && posResp.data.length > 0) {
-      position = posResp.data[0];
-    }
+// Valida los campos de zona enviados por el cliente. Con parcial=true solo
+// se validan los campos presentes (actualizacion de una zona existente).
+// Regresa el mensaje de error o null.
+// Una zona es circulo (limite_m, centrado en la posicion del vehiculo) o
+// poligono (poligono + margen_m opcional); no ambos.
+function validarDatosZonaSegura(body, { parcial = false } = {}) {
+  const {
+    nombre,
+    limite_m,
+    poligono,
+    margen_m,
+    diasAccion,
+    horaInicio,
+    horaFin,
+    activo
+  } = body || {};
+  const revisar = (valor) => !parcial || valor !== undefined;
+
+  if (revisar(nombre) && (!nombre || typeof nombre !== 'string')) {
+    return 'nombre es obligatorio y debe ser string.';
   }
 
-  return { device, position };
-}
+  const { centro, lugarId } = body || {};
+  if (centro !== undefined && lugarId !== undefined) {
+    return 'Envia centro o lugarId, no ambos.';
+  }
 
-async function crearOActualizarDeviceEnTraccar(uniqueId, name) {
-  const devices = await getAllDevices();
-  let device = devices.find((d) => d.uniqueId === uniqueId);
+  if (poligono !== undefined) {
+    if (limite_m !== undefined) {
+      return 'Envia limite_m (zona circular) o poligono, no ambos.';
+    }
+    if (centro !== undefined || lugarId !== undefined) {
+      return 'centro y lugarId solo aplican a zonas circulares.';
+    }
+    const { error } = normalizarPoligono(poligono);
+    if (error) return error;
+  } else if (revisar(limite_m)) {
+    if (typeof limite_m !== 'number') {
+      return 'limite_m es obligatorio y debe ser numero.';
+    }
+    if (limite_m < 20 || limite_m > 40) {
+      return 'limite_m debe estar entre 20 y 40 metros.';
+    }
+  }
 
-  if (device) {
-    if (device.name !== name) {
-      const resp = await traccarClient.put(`/devices/${device.id}`, {
-        ...device,
-        name
-      });
-      device = resp.data;
+  if (
+    margen_m !== undefined &&
+    (typeof margen_m !== 'number' || margen_m < 5 || margen_m > 100)
+  ) {
+    return 'margen_m debe ser numero entre 5 y 100 metros.';
+  }
+
+  if (revisar(diasAccion)) {
+    if (!Array.isArray(diasAccion) || diasAccion.length === 0) {
+      return 'diasAccion debe ser un arreglo no vacio con codigos tipo "LU","MA","MI","JU","VI","SA","DO".';
+    }
+    const diasInvalidos = diasAccion.filter((d) => !DIAS_SEMANA_VALIDOS.has(d));
+    if (diasInvalidos.length > 0) {
+      return 'diasAccion contiene valores invalidos: ' + diasInvalidos.join(', ');
     }
-  } else {
-    const resp = await traccarClient.post('/devices', {
-      name,
-      uniqueId
-    });
-    device = resp.data;
   }
 
-  return device;
-}
+  if (revisar(horaInicio) && (!horaInicio || typeof horaInicio !== 'string')) {
+    return 'horaInicio es obligatoria y debe ser string HH:mm.';
+  }
 
-async function sendCommandToDevice(uniqueId, type) {
-  const { device } = await getDeviceAndPositionByUniqueId(uniqueId);
+  if (revisar(horaFin) && (!horaFin || typeof horaFin !== 'string')) {
+    return 'horaFin es obligatoria y debe ser string HH:mm.';
+  }
 
-  const resp = await traccarClient.post('/commands/send', {
-    deviceId: device.id,
-    type
-  });
+  if (revisar(activo) && typeof activo !== 'boolean') {
+    return 'activo es obligatorio y debe ser boolean.';
+  }
+
+  return null;
+}
+
+// Copia a la zona los campos presentes en el body (ya validados)
+function aplicarDatosZonaSegura(zona, body) {
+  const {
+    nombre,
+    limite_m,
+    poligono,
+    margen_m,
+    diasAccion,
+    horaInicio,
+    horaFin,
+    activo
+  } = body;
+  if (nombre !== undefined) zona.nombre = nombre;
+  if (limite_m !== undefined) {
+    zona.tipo = 'circulo';
+    zona.radio_cliente_m = limite_m;
+    zona.radio_interno_m = limite_m + 10;
+    delete zona.poligono;
+    delete zona.margen_m;
+  }
+  if (poligono !== undefined) {
+    const { vertices } = normalizarPoligono(poligono);
+    zona.tipo = 'poligono';
+    zona.poligono = vertices;
+    zona.centro = centroidePoligono(vertices);
+    zona.origen_centro = 'poligono';
+    zona.lugarId = null;
+    zona.margen_m = zona.margen_m || ZONA_POLIGONO_MARGEN_DEFAULT_M;
+    zona.radio_cliente_m = null;
+    zona.radio_interno_m = null;
+  }
+  if (margen_m !== undefined && zona.tipo === 'poligono') {
+    zona.margen_m = margen_m;
+  }
+  if (diasAccion !== undefined) zona.diasSemana = diasAccion;
+  if (horaInicio !== undefined) zona.horaInicio = horaInicio;
+  if (horaFin !== undefined) zona.horaFin = horaFin;
+  if (activo !== undefined) zona.activo = !!activo;
+  return zona;
+}
 
+function zonaConEstado(vehiculoId, zona) {
+  const registro = registroEstadoZona(vehiculoId, zona.id);
   return {
-    device,
-    command: resp.data
+    ...zona,
+    estado_motor: registro ? registro.estado : 'desconocido',
+    estado_motor_desde: registro ? registro.desde : null
   };
 }
 
 // ---------------------------
-// Helpers varios
+// Persistencia simple en archivo
 // ---------------------------
 
-function utcToLocalMx(isoString) {
-  if (!isoString) return null;
-  return DateTime.fromISO(isoString, { zone: 'utc' })
-    .setZone('America/Mexico_City')
-    .toISO();
-}
+let VEHICULOS = {};
+// Estado de corte por vehiculo:
+// ESTADO_CORTE[vehiculoId] = { estado: 'cortado' | 'normal', desde, comandoId, discrepancia }
+let ESTADO_CORTE = {};
+// Estado de zona segura por vehiculo y zona:
+// ESTADO_ZONA[vehiculoId][zonaId] = { estado, desde } con
+// estado 'dentro' | 'fuera' | 'fuera_horario' | 'desconocido'
+let ESTADO_ZONA = {};
 
-function distanciaMetros(lat1, lon1, lat2, lon2) {
-  function toRad(g) {
-    return (g * Math.PI) / 180;
+function cargarVehiculos() {
+  VEHICULOS = leerColeccion('vehiculos') || {};
+
+  let migrados = 0;
+  for (const config of Object.values(VEHICULOS)) {
+    if (migrarZonasSeguras(config)) migrados += 1;
+  }
+  if (migrados > 0) {
+    console.log(`Zona Segura migrada a lista de zonas en ${migrados} vehiculos.`);
+    guardarVehiculos();
   }
-  const R = 6371000; // metros
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) *
-      Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
 }
 
-function horaDentroDeVentana(horaInicio, horaFin, dtLocal) {
-  if (!horaInicio || !horaFin) return true;
-  const [hIni, mIni] = horaInicio.split(':').map(Number);
-  const [hFin, mFin] = horaFin.split(':').map(Number);
-  const minutosActual = dtLocal.hour * 60 + dtLocal.minute;
-  const minutosIni = hIni * 60 + mIni;
-  const minutosFin = hFin * 60 + mFin;
-
-  if (Number.isNaN(minutosIni) || Number.isNaN(minutosFin)) return true;
+function guardarVehiculos() {
+  escribirColeccion('vehiculos', VEHICULOS);
+}
 
-  if (minutosIni <= minutosFin) {
-    return minutosActual >= minutosIni && minutosActual <= minutosFin;
-  }
+cargarVehiculos();
 
-  // Cruza medianoche
-  return minutosActual >= minutosIni || minutosActual <= minutosFin;
+function cargarEstadoRuntime() {
+  const datos = leerColeccion('estado-runtime') || {};
+  ESTADO_CORTE = datos.corte || {};
+  ESTADO_ZONA = datos.zona || {};
 }
 
-function codigoDiaSemanaMx(dtLocal) {
-  const dias = ['DO', 'LU', 'MA', 'MI', 'JU', 'VI', 'SA'];
-  const idx = dtLocal.weekday % 7; // 1..7
-  return dias[idx];
+function guardarEstadoRuntime() {
+  escribirColeccion('estado-runtime', { corte: ESTADO_CORTE, zona: ESTADO_ZONA });
 }
 
-function knotsToKmh(knots) {
-  if (typeof knots !== 'number') return null;
-  return knots * 1.852;
+// Un ciclo del motor puede cambiar el estado de muchas zonas; se agrupan
+// en una sola escritura al terminar el tick actual
+let GUARDADO_ESTADO_PROGRAMADO = false;
+
+function programarGuardadoEstadoRuntime() {
+  if (GUARDADO_ESTADO_PROGRAMADO) return;
+  GUARDADO_ESTADO_PROGRAMADO = true;
+  setImmediate(() => {
+    GUARDADO_ESTADO_PROGRAMADO = false;
+    guardarEstadoRuntime();
+  });
 }
 
-// ---------------------------
-// Eventos de Zona Segura
-// ---------------------------
+cargarEstadoRuntime();
 
-async function enviarEventoSalidaZonaSegura({
-  vehiculoId,
-  config,
-  zona,
-  position,
-  distancia
-}) {
-  if (!ORQ_EVENT_URL) {
-    // No hay URL configurada, solo registramos en logs
-    console.warn(
-      `Evento FUERA_DE_ZONA_SEGURA para ${vehiculoId} (no se envio, ORQ_EVENT_URL vacia)`
-    );
-    return;
-  }
+function estadoCorte(vehiculoId, porDefecto = 'normal') {
+  const registro = ESTADO_CORTE[vehiculoId];
+  return registro ? registro.estado : porDefecto;
+}
 
-  try {
-    const rawTime =
-      position.serverTime || position.deviceTime || position.fixTime || null;
-    const horaLocal = utcToLocalMx(rawTime);
-    const lat = position.latitude;
-    const lon = position.longitude;
+// Registra el estado de corte confirmado. Una confirmacion limpia cualquier
+// discrepancia detectada contra Traccar.
+function setEstadoCorte(vehiculoId, estado, comandoId = null) {
+  const anterior = ESTADO_CORTE[vehiculoId];
+  const cambio = !anterior || anterior.estado !== estado;
+  ESTADO_CORTE[vehiculoId] = {
+    estado,
+    desde: cambio ? new Date().toISOString() : anterior.desde,
+    comandoId: comandoId || (cambio ? null : anterior.comandoId),
+    discrepancia: null
+  };
+  programarGuardadoEstadoRuntime();
+}
 
-    const googleMapsUrl =
-      lat != null && lon != null
-        ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
-        : null;
+function resumenEstadoCorte(vehiculoId) {
+  const registro = ESTADO_CORTE[vehiculoId];
+  return {
+    estado_corte: registro ? registro.estado : 'normal',
+    estado_corte_desde: registro ? registro.desde : null,
+    discrepancia_corte: registro ? registro.discrepancia || null : null
+  };
+}
 
-    const bodyEvento = {
-      tipoEvento: 'FUERA_DE_ZONA_SEGURA',
-      vehiculoId,
-      contratoId: config.contratoId,
-      uniqueId: config.uniqueId || null,
-      distancia_m: distancia,
-      radio_cliente_m: zona.radio_cliente_m,
-      radio_interno_m: zona.radio_interno_m,
-      lat,
-      lon,
-      hora_evento_utc: rawTime,
-      hora_evento_local: horaLocal,
-      google_maps_url: googleMapsUrl,
-      zonaSegura: {
-        nombre: zona.nombre,
-        diasSemana: zona.diasSemana,
-        horaInicio: zona.horaInicio,
-        horaFin: zona.horaFin
-      }
-    };
+// Datos a nivel contrato, indexados por contratoId: titular, contactos,
+// zona horaria, lugares y estado de activacion. nombreTitular y tipoCliente
+// se copian ademas en cada vehiculo por compatibilidad.
+let CONTRATOS = {};
 
-    await axios.post(ORQ_EVENT_URL, bodyEvento);
-    console.log(
-      `Evento FUERA_DE_ZONA_SEGURA enviado para vehiculo ${vehiculoId} -> ${ORQ_EVENT_URL}`
-    );
-  } catch (err) {
-    console.error(
-      `Error enviando evento FUERA_DE_ZONA_SEGURA para ${vehiculoId}:`,
-      err.message
-    );
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
-    }
+function cargarContratos() {
+  CONTRATOS = leerColeccion('contratos') || {};
+
+  // Contratos creados implicitamente por sus vehiculos (o con el formato
+  // anterior) se completan con los datos de sus unidades
+  let completados = 0;
+  for (const config of Object.values(VEHICULOS)) {
+    if (completarContratoDesdeVehiculo(config)) completados += 1;
+  }
+  if (completados > 0) {
+    console.log(`Datos de contrato completados desde ${completados} vehiculos.`);
+    guardarContratos();
   }
 }
 
-async function evaluarZonasSegurasYGenerarEventos() {
-  try {
-    const ahoraLocal = DateTime.now().setZone('America/Mexico_City');
+function guardarContratos() {
+  escribirColeccion('contratos', CONTRATOS);
+}
 
-    for (const [vehiculoId, config] of Object.entries(VEHICULOS)) {
-      // Debe estar activo y tener zona activa y uniqueId
-      if (config.activo === false) continue;
-      if (!config.uniqueId) continue;
-      const zona = config.zonaSegura;
-      if (!zona || zona.activo !== true) continue;
-
-      // Dia y hora
-      const diaCodigo = codigoDiaSemanaMx(ahoraLocal);
-      const aplicaDia = zona.diasSemana.includes(diaCodigo);
-      const aplicaHora = horaDentroDeVentana(
-        zona.horaInicio,
-        zona.horaFin,
-        ahoraLocal
-      );
-      const aplicaVentana = aplicaDia && aplicaHora;
+cargarContratos();
 
-      let nuevoEstado = 'desconocido';
-      const prevEstado = ESTADO_ZONA[vehiculoId] || 'desconocido';
+// Un contrato existe si tiene registro propio o al menos un vehiculo
+function contratoExiste(contratoId) {
+  return (
+    !!CONTRATOS[contratoId] ||
+    Object.values(VEHICULOS).some((v) => v.contratoId === contratoId)
+  );
+}
 
-      if (!aplicaVentana) {
-        nuevoEstado = 'fuera_horario';
-        ESTADO_ZONA[vehiculoId] = nuevoEstado;
-        continue; // no hay evaluacion de distancia ni eventos
-      }
+function obtenerOCrearContrato(contratoId) {
+  if (!CONTRATOS[contratoId]) {
+    CONTRATOS[contratoId] = {
+      contratoId,
+      tipoCliente: null,
+      titular: { nombre: null, email: null, telefono: null, rfc: null },
+      contactos: [],
+      activo: true,
+      motivoInactivacion: null,
+      zonaHoraria: null,
+      lugares: [],
+      fechaAlta: new Date().toISOString()
+    };
+  }
+  return CONTRATOS[contratoId];
+}
 
-      // Obtener posicion actual
-      let position;
-      try {
-        const res = await getDeviceAndPositionByUniqueId(config.uniqueId);
-        position = res.position;
-        if (!position) {
-          console.warn(
-            `Sin posicion reciente para evaluar Zona Segura en vehiculo ${vehiculoId}`
-          );
-          continue;
-        }
-      } catch (err) {
-        console.error(
-          `Error consultando posicion para Zona Segura en vehiculo ${vehiculoId}:`,
-          err.message
-        );
-        continue;
-      }
+// Rellena los campos que falten en el contrato del vehiculo.
+// Regresa true si el contrato cambio.
+function completarContratoDesdeVehiculo(config) {
+  const contrato = obtenerOCrearContrato(config.contratoId);
+  const antes = JSON.stringify(contrato);
 
-      const lat = position.latitude;
-      const lon = position.longitude;
+  if (!contrato.titular) {
+    contrato.titular = { nombre: null, email: null, telefono: null, rfc: null };
+  }
+  if (!contrato.titular.nombre) contrato.titular.nombre = config.nombreTitular || null;
+  if (!contrato.tipoCliente) contrato.tipoCliente = config.tipoCliente || null;
+  if (!Array.isArray(contrato.contactos)) contrato.contactos = [];
+  if (contrato.activo === undefined) contrato.activo = true;
+  if (contrato.motivoInactivacion === undefined) contrato.motivoInactivacion = null;
 
-      const dist = distanciaMetros(zona.centro.lat, zona.centro.lon, lat, lon);
+  return JSON.stringify(contrato) !== antes;
+}
 
-      if (dist > zona.radio_interno_m) {
-        nuevoEstado = 'fuera';
-      } else {
-        nuevoEstado = 'dentro';
-      }
+function unidadesDeContrato(contratoId) {
+  return Object.entries(VEHICULOS).filter(
+    ([, config]) => config.contratoId === contratoId
+  );
+}
 
-      // Guardar nuevo estado
-      ESTADO_ZONA[vehiculoId] = nuevoEstado;
+const CONTACTOS_MAX = 10;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const TELEFONO_REGEX = /^\+?[0-9 ()-]{7,20}$/;
 
-      // Evento: cambio de dentro -> fuera (solo dentro de la ventana)
-      if (nuevoEstado === 'fuera' && prevEstado === 'dentro') {
-        await enviarEventoSalidaZonaSegura({
-          vehiculoId,
-          config,
-          zona,
-          position,
-          distancia: dist
-        });
-      }
-    }
-  } catch (err) {
-    console.error('Error general en evaluarZonasSegurasYGenerarEventos:', err.message);
+// Valida email / telefono / rfc opcionales (string o null).
+// Regresa el mensaje de error o null.
+function validarDatosContacto(datos, prefijo) {
+  const { email, telefono, rfc } = datos;
+  if (email != null && (typeof email !== 'string' || !EMAIL_REGEX.test(email))) {
+    return `${prefijo}email no es valido.`;
+  }
+  if (
+    telefono != null &&
+    (typeof telefono !== 'string' || !TELEFONO_REGEX.test(telefono))
+  ) {
+    return `${prefijo}telefono no es valido.`;
+  }
+  if (rfc != null && (typeof rfc !== 'string' || !/^[A-Z&Ñ0-9]{12,13}$/i.test(rfc))) {
+    return `${prefijo}rfc debe tener 12 o 13 caracteres.`;
   }
+  return null;
 }
 
+// contactos: arreglo de { nombre, telefono?, email?, relacion? }
+function validarContactos(contactos) {
+  if (!Array.isArray(contactos) || contactos.length > CONTACTOS_MAX) {
+    return `contactos debe ser un arreglo de maximo ${CONTACTOS_MAX} elementos.`;
+  }
+  for (const [i, contacto] of contactos.entries()) {
+    if (!contacto || typeof contacto.nombre !== 'string' || !contacto.nombre.trim()) {
+      return `contactos[${i}].nombre es requerido.`;
+    }
+    if (!contacto.telefono && !contacto.email) {
+      return `contactos[${i}] requiere telefono o email.`;
+    }
+    const error = validarDatosContacto(contacto, `contactos[${i}].`);
+    if (error) return error;
+  }
+  return null;
+}
 
+function normalizarContacto(contacto) {
+  return {
+    nombre: contacto.nombre.trim(),
+    telefono: contacto.telefono || null,
+    email: contacto.email || null,
+    relacion: contacto.relacion || null
+  };
+}
 
-// ---------------------------
-// Endpoints
-// ---------------------------
+// Nombre del device en Traccar: "<contrato> - <alias> (<titular>)"
+function nombreDeviceTraccar({ contratoId, aliasUnidad, numeroUnidad, nombreTitular }) {
+  return (
+    contratoId +
+    ' - ' +
+    (aliasUnidad || `Unidad ${numeroUnidad}`) +
+    ' (' +
+    nombreTitular +
+    ')'
+  );
+}
 
-app.get('/api/health', (req, res) => {
-  res.json({ ok: true, mensaje: 'AMA Orquestador vivo' });
-});
+// Lugares guardados del contrato ("Casa", "Oficina"...), compartidos por sus
+// unidades para centrar Zonas Seguras
+const LUGAR_ID_REGEX = /^[A-Za-z0-9_-]{1,40}$/;
+
+function lugaresDe(contratoId) {
+  const contrato = CONTRATOS[contratoId];
+  return contrato && Array.isArray(contrato.lugares) ? contrato.lugares : [];
+}
+
+// Busca por id y, si no hay coincidencia, por nombre sin distinguir mayusculas
+function buscarLugar(contratoId, referencia) {
+  if (typeof referencia !== 'string') return null;
+  const lugares = lugaresDe(contratoId);
+  const ref = referencia.trim().toLowerCase();
+  return (
+    lugares.find((l) => l.id === referencia) ||
+    lugares.find((l) => (l.nombre || '').toLowerCase() === ref) ||
+    null
+  );
+}
 
 // ---------------------------
-// 1) Alta de vehiculo
+// Historial de siniestros
 // ---------------------------
 
-app.post('/api/vehiculos', async (req, res) => {
-  try {
-    const { contratoId, tipoCliente, nombreTitular, uniqueId, aliasUnidad } =
-      req.body || {};
+// Cada siniestro es un registro propio (coleccion 'siniestros', indexada por
+// siniestroId) con su linea de tiempo: inicio, cortes, reanudaciones,
+// consultas de ubicacion, notas y cierre. El vehiculo solo guarda el id del
+// siniestro abierto o del ultimo que tuvo (config.siniestroId).
+const SINIESTRO_NOTA_MAX_CARACTERES = 2000;
 
-    if (!contratoId || !tipoCliente || !nombreTitular || !uniqueId) {
-      return res.status(400).json({
-        error:
-          'Faltan campos. Se requiere contratoId, tipoCliente, nombreTitular y uniqueId.'
-      });
-    }
+let SINIESTROS = {};
 
-    if (!['individual', 'empresa'].includes(tipoCliente)) {
-      return res
-        .status(400)
-        .json({ error: 'tipoCliente debe ser "individual" o "empresa".' });
-    }
+function nuevoRegistroSiniestro(vehiculoId, config, { causa, canal, horaInicio, actor }) {
+  return {
+    siniestroId: 'sin-' + crypto.randomUUID(),
+    vehiculoId,
+    contratoId: config.contratoId,
+    estado: 'abierto',
+    causa: causa || null,
+    canal: canal || null,
+    horaInicio,
+    horaCierre: null,
+    resultado: null,
+    ultimaUbicacionCierre: null,
+    iniciadoPor: actor || null,
+    cerradoPor: null,
+    linea_tiempo: []
+  };
+}
 
-    const existenteConUniqueId = Object.entries(VEHICULOS).find(
-      ([, v]) => v.uniqueId === uniqueId
-    );
-    if (existenteConUniqueId) {
-      return res.status(409).json({
-        error:
-          'Ese uniqueId ya esta asignado a otro vehiculo (' +
-          existenteConUniqueId[0] +
-          ').'
-      });
-    }
+function cargarSiniestros() {
+  SINIESTROS = leerColeccion('siniestros') || {};
+
+  // Formato anterior: un solo objeto config.siniestro que se sobrescribia
+  // en cada inicio. Se convierte en un registro del historial.
+  let migrados = 0;
+  for (const [vehiculoId, config] of Object.entries(VEHICULOS)) {
+    if (!('siniestro' in config)) continue;
+    const previo = config.siniestro;
+    delete config.siniestro;
+    if (config.siniestroId === undefined) config.siniestroId = null;
+    migrados += 1;
+    if (!previo) continue;
+
+    const registro = nuevoRegistroSiniestro(vehiculoId, config, {
+      causa: previo.causa,
+      canal: previo.canal,
+      horaInicio: previo.horaInicio || null
+    });
+    registro.estado = previo.activo ? 'abierto' : 'cerrado';
+    registro.horaCierre = previo.horaCierre || null;
+    registro.resultado = previo.resultado || null;
+    registro.ultimaUbicacionCierre = previo.ultimaUbicacionCierre || null;
+    registro.linea_tiempo.push({
+      fecha: new Date().toISOString(),
+      tipo: 'migrado',
+      actor: null,
+      detalle: 'Registro creado desde el formato anterior (config.siniestro).'
+    });
+    SINIESTROS[registro.siniestroId] = registro;
+    config.siniestroId = registro.siniestroId;
+  }
+  if (migrados > 0) {
+    console.log(`Siniestros migrados a historial en ${migrados} vehiculos.`);
+    guardarSiniestros();
+    guardarVehiculos();
+  }
+}
 
-    const vehiculosContrato = Object.entries(VEHICULOS).filter(
-      ([, v]) => v.contratoId === contratoId
-    );
+function guardarSiniestros() {
+  escribirColeccion('siniestros', SINIESTROS);
+}
 
-    let vehiculoId;
-    let numeroUnidad;
+cargarSiniestros();
 
-    if (vehiculosContrato.length === 0) {
-      if (tipoCliente === 'individual') {
-        vehiculoId = contratoId;
-      } else {
-        vehiculoId = contratoId + '-001';
-      }
-      numeroUnidad = 1;
-    } else {
-      const maxNum = vehiculosContrato.reduce(
-        (max, [, v]) =>
-          typeof v.numeroUnidad === 'number' && v.numeroUnidad > max
-            ? v.numeroUnidad
-            : max,
-        1
-      );
-      numeroUnidad = maxNum + 1;
-      const sufijo = String(numeroUnidad).padStart(3, '0');
-      vehiculoId = contratoId + '-' + sufijo;
-    }
+function siniestroAbiertoDe(config) {
+  const registro = config.siniestroId ? SINIESTROS[config.siniestroId] : null;
+  return registro && registro.estado === 'abierto' ? registro : null;
+}
 
-    if (VEHICULOS[vehiculoId]) {
-      return res
-        .status(409)
-        .json({ error: 'Ya existe un vehiculo con id ' + vehiculoId });
-    }
+function agregarALineaTiempo(registro, tipo, actor, datos = {}) {
+  const entrada = {
+    fecha: new Date().toISOString(),
+    tipo,
+    actor: actor || null,
+    ...datos
+  };
+  registro.linea_tiempo.push(entrada);
+  guardarSiniestros();
+  return entrada;
+}
+
+// Anota una accion en el siniestro abierto del vehiculo (si hay uno)
+function registrarAccionSiniestro(config, tipo, actor, datos) {
+  const registro = siniestroAbiertoDe(config);
+  return registro ? agregarALineaTiempo(registro, tipo, actor, datos) : null;
+}
 
-    const nombreDevice =
-      contratoId +
-      ' - ' +
-      (aliasUnidad || `Unidad ${numeroUnidad}`) +
-      ' (' +
-      nombreTitular +
-      ')';
+function resumenSiniestro(registro) {
+  const { linea_tiempo: lineaTiempo, ...datos } = registro;
+  return { ...datos, acciones: lineaTiempo.length };
+}
 
-    const device = await crearOActualizarDeviceEnTraccar(uniqueId, nombreDevice);
+// Registro completo; las acciones con comando incluyen su estado vigente
+function detalleSiniestro(registro) {
+  return {
+    ...registro,
+    linea_tiempo: registro.linea_tiempo.map((entrada) =>
+      entrada.comandoId && COMANDOS[entrada.comandoId]
+        ? { ...entrada, estado_comando_actual: COMANDOS[entrada.comandoId].estado }
+        : entrada
+    )
+  };
+}
 
-    const ahora = new Date().toISOString();
+// ---------------------------
+// API keys con permisos
+// ---------------------------
 
-    VEHICULOS[vehiculoId] = {
-      contratoId,
-      tipoCliente,
-      numeroUnidad,
-      nombreTitular,
-      aliasUnidad: aliasUnidad || `Unidad ${numeroUnidad}`,
-      uniqueId,
-      activo: true,
-      motivoInactivacion: null,
-      fechaAlta: ahora,
-      fechaInactivacion: null,
-      fechaReactivacion: null,
-      fechaCambioUniqueId: null,
-      fechaLiberacionUniqueId: null,
-      zonaSegura: null,
-      modoSiniestro: false,
-      siniestro: null
-    };
+// Cada key tiene un nombre, una lista de permisos (scopes) y opcionalmente
+// una lista de contratos a los que se limita. Solo se guarda el hash SHA-256
+// de la key; el valor en claro se muestra una sola vez al crearla.
+// AMA_API_KEY sigue funcionando como key maestra con permiso 'admin'.
+const SCOPES = {
+  lectura: 'Estatus, ubicacion, estado de corte y configuracion (solo lectura)',
+  comandos_motor: 'Corte y reanudacion de motor',
+  corte_sin_confirmacion:
+    'Corte de motor sin codigo de confirmacion (ver Confirmacion de corte)',
+  gestion_vehiculos:
+    'Alta, inactivacion, dispositivos, Zonas Seguras, zonas horarias y lugares',
+  siniestro: 'Inicio y cierre de siniestros',
+  admin: 'Todo lo anterior mas administracion del Orquestador y API keys'
+};
+
+// Combinaciones frecuentes de permisos
+const ROLES_API_KEY = {
+  bot_cliente: ['lectura'],
+  operador: ['lectura', 'comandos_motor', 'siniestro'],
+  backoffice: [
+    'lectura',
+    'comandos_motor',
+    'corte_sin_confirmacion',
+    'gestion_vehiculos',
+    'siniestro'
+  ],
+  admin: ['admin']
+};
+
+// ultimoUsoEn se persiste como maximo una vez por este intervalo
+const API_KEY_ULTIMO_USO_INTERVALO_MS = 5 * 60 * 1000;
+
+let API_KEYS = {};
+let API_KEYS_POR_HASH = new Map();
+
+function hashApiKey(valor) {
+  return crypto.createHash('sha256').update(valor, 'utf8').digest('hex');
+}
 
-    ESTADO_CORTE[vehiculoId] = 'normal';
-    ESTADO_ZONA[vehiculoId] = 'desconocido';
+function indexarApiKeys() {
+  API_KEYS_POR_HASH = new Map(
+    Object.values(API_KEYS).map((key) => [key.hash, key])
+  );
+}
 
-    guardarVehiculos();
+function cargarApiKeys() {
+  API_KEYS = leerColeccion('api-keys') || {};
+  indexarApiKeys();
+}
 
-    return res.json({
-      ok: true,
-      vehiculoId,
-      contratoId,
-      tipoCliente,
-      numeroUnidad,
-      nombreTitular,
-      aliasUnidad: VEHICULOS[vehiculoId].aliasUnidad,
-      uniqueId,
-      activo: true,
-      traccarDeviceId: device.id,
-      mensaje: 'Vehiculo registrado en el Orquestador y en Traccar.'
-    });
-  } catch (err) {
-    console.error('Error en POST /api/vehiculos:', err.message);
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
+function guardarApiKeys() {
+  escribirColeccion('api-keys', API_KEYS);
+}
+
+cargarApiKeys();
+
+const API_KEY_MAESTRA = process.env.AMA_API_KEY
+  ? {
+      id: 'maestra',
+      nombre: 'AMA_API_KEY',
+      hash: hashApiKey(process.env.AMA_API_KEY),
+      scopes: ['admin'],
+      contratos: null,
+      activa: true
     }
-    return res.status(500).json({
-      error: 'No se pudo registrar el vehiculo',
-      detalle: err.response ? `${err.response.status}` : err.message
-    });
+  : null;
+
+// Regresa la key activa que corresponde al valor recibido, o null
+function autenticarApiKey(valor) {
+  if (!valor) return null;
+  const hash = hashApiKey(valor);
+
+  if (
+    API_KEY_MAESTRA &&
+    crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(API_KEY_MAESTRA.hash))
+  ) {
+    return API_KEY_MAESTRA;
   }
-});
-
-// ---------------------------
-// 2) Inactivar vehiculo
-// ---------------------------
 
-app.post('/api/vehiculos/:vehiculoId/inactivar', (req, res) => {
-  const vehiculoId = req.params.vehiculoId;
-  const config = VEHICULOS[vehiculoId];
+  const key = API_KEYS_POR_HASH.get(hash);
+  if (!key || key.activa !== true) return null;
 
-  if (!config) {
-    return res
-      .status(404)
-      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  const ahora = Date.now();
+  if (
+    !key.ultimoUsoEn ||
+    ahora - Date.parse(key.ultimoUsoEn) > API_KEY_ULTIMO_USO_INTERVALO_MS
+  ) {
+    key.ultimoUsoEn = new Date(ahora).toISOString();
+    guardarApiKeys();
   }
+  return key;
+}
 
-  const { motivo } = req.body || {};
+function tieneScope(key, scope) {
+  return !!key && (key.scopes.includes('admin') || key.scopes.includes(scope));
+}
 
-  if (!['impago', 'cancelacion'].includes(motivo)) {
-    return res
-      .status(400)
-      .json({ error: 'motivo debe ser "impago" o "cancelacion".' });
+// contratos null = sin restriccion
+function keyPermiteContrato(key, contratoId) {
+  return !!key && (!Array.isArray(key.contratos) || key.contratos.includes(contratoId));
+}
+
+// Contrato sobre el que actua la solicitud (undefined si no aplica)
+function contratoDeSolicitud(req) {
+  if (req.params.contratoId) return req.params.contratoId;
+  if (req.params.vehiculoId) {
+    const config = VEHICULOS[req.params.vehiculoId];
+    return config ? config.contratoId : undefined;
+  }
+  if (req.body && typeof req.body.contratoId === 'string') {
+    return req.body.contratoId;
   }
+  return undefined;
+}
 
-  const yaEstabaInactivo = config.activo === false;
-  config.activo = false;
-  config.motivoInactivacion = motivo;
-  config.fechaInactivacion = new Date().toISOString();
+// Middleware por ruta: exige el permiso y, si la key esta limitada a ciertos
+// contratos, que el vehiculo / contrato de la solicitud sea uno de ellos
+function permitir(scope) {
+  return (req, res, next) => {
+    if (!tieneScope(req.apiKey, scope)) {
+      return res.status(403).json({
+        error: `La API key no tiene el permiso "${scope}".`
+      });
+    }
 
-  guardarVehiculos();
+    const contratoId = contratoDeSolicitud(req);
+    if (contratoId !== undefined && !keyPermiteContrato(req.apiKey, contratoId)) {
+      return res.status(403).json({
+        error: 'La API key no tiene acceso a este contrato.'
+      });
+    }
 
-  return res.json({
-    ok: true,
-    vehiculoId,
-    contratoId: config.contratoId,
-    activo: false,
-    motivoInactivacion: motivo,
-    yaEstabaInactivo,
-    mensaje:
-      'Vehiculo inactivado por motivo "' +
-      motivo +
-      '". No se realizaran mas operaciones hasta reactivacion.'
-  });
-});
+    next();
+  };
+}
 
-// ---------------------------
-// 3) Reactivar vehiculo
-// ---------------------------
+// Normaliza scopes / rol / contratos recibidos en el body.
+// Regresa { scopes, contratos } o { error }.
+function validarPermisosApiKey({ rol, scopes, contratos }, actual) {
+  let lista = actual ? actual.scopes : null;
 
-app.post('/api/vehiculos/:vehiculoId/reactivar', (req, res) => {
-  const vehiculoId = req.params.vehiculoId;
-  const config = VEHICULOS[vehiculoId];
+  if (rol !== undefined) {
+    if (!ROLES_API_KEY[rol]) {
+      return {
+        error: `rol debe ser uno de: ${Object.keys(ROLES_API_KEY).join(', ')}.`
+      };
+    }
+    lista = [...ROLES_API_KEY[rol]];
+  }
 
-  if (!config) {
-    return res
-      .status(404)
-      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  if (scopes !== undefined) {
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((s) => !SCOPES[s])
+    ) {
+      return {
+        error: `scopes debe ser un arreglo con valores de: ${Object.keys(SCOPES).join(', ')}.`
+      };
+    }
+    lista = [...new Set(scopes)];
   }
 
-  if (!config.uniqueId) {
-    return res.status(409).json({
-      error:
-        'El vehiculo no tiene un dispositivo (uniqueId) asignado. Asigna un dispositivo antes de reactivar.'
-    });
+  if (!lista) {
+    return { error: 'Se requiere rol o scopes.' };
   }
 
-  if (config.activo !== false) {
-    return res.json({
-      ok: false,
-      vehiculoId,
-      contratoId: config.contratoId,
-      activo: true,
-      mensaje: 'El vehiculo ya se encontraba activo.'
-    });
+  let listaContratos = actual ? actual.contratos : null;
+  if (contratos !== undefined) {
+    if (
+      contratos !== null &&
+      (!Array.isArray(contratos) ||
+        contratos.length === 0 ||
+        contratos.some((c) => typeof c !== 'string' || !c))
+    ) {
+      return {
+        error: 'contratos debe ser null (sin restriccion) o un arreglo de contratoId.'
+      };
+    }
+    listaContratos = contratos === null ? null : [...new Set(contratos)];
   }
 
-  config.activo = true;
-  config.motivoInactivacion = null;
-  config.fechaReactivacion = new Date().toISOString();
+  if (lista.includes('admin') && listaContratos !== null) {
+    return { error: 'Una key con permiso admin no puede limitarse a contratos.' };
+  }
 
-  guardarVehiculos();
+  return { scopes: lista, contratos: listaContratos };
+}
 
-  return res.json({
-    ok: true,
-    vehiculoId,
-    contratoId: config.contratoId,
-    activo: true,
-    mensaje:
-      'Vehiculo reactivado. Se reanuda el monitoreo y el uso de funciones de seguridad.'
-  });
-});
+// Datos de la key sin el hash
+function apiKeyPublica(key) {
+  const { hash, ...resto } = key;
+  return resto;
+}
 
 // ---------------------------
-// 4) Cambiar equipo (modificar uniqueId)
+// Limites de uso (rate limiting) y bloqueo por autenticacion fallida
 // ---------------------------
 
-app.post('/api/vehiculos/:vehiculoId/modificar-uniqueId', async (req, res) => {
-  try {
-    const vehiculoId = req.params.vehiculoId;
-    const config = VEHICULOS[vehiculoId];
+// Ventanas fijas de un minuto en memoria. Cada presupuesto se cuenta por API
+// key y por IP; una solicitud consume del presupuesto general y, segun la
+// ruta, del de Traccar o del de comandos de motor (ver limitar()).
+// Solo un limite 0 explicito desactiva ese contador; un valor invalido usa
+// el default.
+const VENTANA_LIMITE_MS = 60 * 1000;
 
-    if (!config) {
-      return res
-        .status(404)
-        .json({ error: 'Vehiculo no configurado en el Orquestador' });
-    }
+function limitePorMinuto(variable, porDefecto) {
+  return enteroDeEntorno(variable, porDefecto, 0);
+}
 
-    const { nuevoUniqueId } = req.body || {};
-    if (!nuevoUniqueId || typeof nuevoUniqueId !== 'string') {
-      return res
-        .status(400)
-        .json({ error: 'nuevoUniqueId es obligatorio y debe ser un string.' });
-    }
+const PRESUPUESTOS_LIMITE = {
+  general: {
+    porKey: limitePorMinuto('RATE_LIMIT_GENERAL_POR_KEY', 120),
+    porIp: limitePorMinuto('RATE_LIMIT_GENERAL_POR_IP', 240)
+  },
+  // Rutas que consultan Traccar en cada llamada (posiciones, devices)
+  traccar: {
+    porKey: limitePorMinuto('RATE_LIMIT_TRACCAR_POR_KEY', 30),
+    porIp: limitePorMinuto('RATE_LIMIT_TRACCAR_POR_IP', 60)
+  },
+  // Corte / reanudacion de motor
+  comandos: {
+    porKey: limitePorMinuto('RATE_LIMIT_COMANDOS_POR_KEY', 10),
+    porIp: limitePorMinuto('RATE_LIMIT_COMANDOS_POR_IP', 20)
+  }
+};
+
+// Intentos fallidos de x-ama-api-key por IP antes de bloquearla (0 = sin
+// bloqueo)
+const AUTH_MAX_FALLOS = enteroDeEntorno('AUTH_MAX_FALLOS', 10, 0);
+const AUTH_VENTANA_FALLOS_SEGUNDOS = enteroDeEntorno(
+  'AUTH_VENTANA_FALLOS_SEGUNDOS',
+  900
+);
+const AUTH_BLOQUEO_SEGUNDOS = enteroDeEntorno('AUTH_BLOQUEO_SEGUNDOS', 900);
+
+// clave "<presupuesto>:<key|ip>:<id>" -> { inicio, usados }
+const CONTADORES_LIMITE = new Map();
+// ip -> { fallos, primeroEn, bloqueadoHasta }
+const FALLOS_AUTH = new Map();
+
+function consumirLimite(clave, limite, ahora, unidades = 1) {
+  let contador = CONTADORES_LIMITE.get(clave);
+  if (!contador || ahora - contador.inicio >= VENTANA_LIMITE_MS) {
+    contador = { inicio: ahora, usados: 0 };
+    CONTADORES_LIMITE.set(clave, contador);
+  }
+  contador.usados += unidades;
+  return {
+    clave,
+    unidades,
+    limite,
+    restantes: Math.max(0, limite - contador.usados),
+    reinicioSegundos: Math.ceil(
+      (contador.inicio + VENTANA_LIMITE_MS - ahora) / 1000
+    ),
+    excedido: contador.usados > limite
+  };
+}
 
-    if (!config.uniqueId) {
-      return res.status(409).json({
-        error:
-          'El vehiculo no tiene uniqueId actual asignado. Revisa el estado o usa el flujo de alta.'
-      });
-    }
+function responderLimiteExcedido(res, reintentarSegundos, error, detalle) {
+  res.set('Retry-After', String(reintentarSegundos));
+  return res.status(429).json({
+    error,
+    reintentar_en_segundos: reintentarSegundos,
+    ...detalle
+  });
+}
 
-    const otro = Object.entries(VEHICULOS).find(
-      ([id, v]) => v.uniqueId === nuevoUniqueId && id !== vehiculoId
+// Consume el presupuesto para la key y la IP de la solicitud. Publica los
+// encabezados RateLimit-* del contador mas restrictivo visto en la solicitud.
+// unidades > 1 cobra de una vez una operacion que hace varias llamadas (p. ej.
+// la importacion masiva); si no alcanza, esas unidades no se cobran.
+// Regresa false si ya respondio 429.
+function aplicarPresupuesto(nombre, req, res, unidades = 1) {
+  const presupuesto = PRESUPUESTOS_LIMITE[nombre];
+  const ahora = Date.now();
+
+  const resultados = [];
+  if (presupuesto.porKey > 0 && req.apiKey) {
+    resultados.push(
+      consumirLimite(
+        `${nombre}:key:${req.apiKey.id}`,
+        presupuesto.porKey,
+        ahora,
+        unidades
+      )
     );
-    if (otro) {
-      return res.status(409).json({
-        error:
-          'El nuevo uniqueId ya esta asignado al vehiculo ' +
-          otro[0] +
-          '.'
-      });
-    }
+  }
+  if (presupuesto.porIp > 0) {
+    resultados.push(
+      consumirLimite(`${nombre}:ip:${req.ip}`, presupuesto.porIp, ahora, unidades)
+    );
+  }
+  if (resultados.length === 0) return true;
 
-    const nombreDevice =
-      config.contratoId +
-      ' - ' +
-      (config.aliasUnidad || `Unidad ${config.numeroUnidad}`) +
-      ' (' +
-      config.nombreTitular +
-      ')';
+  const peor = resultados.reduce((a, b) =>
+    b.excedido && !a.excedido ? b : b.restantes < a.restantes ? b : a
+  );
 
-    const device = await crearOActualizarDeviceEnTraccar(
-      nuevoUniqueId,
-      nombreDevice
+  const previo = res.locals.limiteMasRestrictivo;
+  if (!previo || peor.restantes <= previo.restantes) {
+    res.locals.limiteMasRestrictivo = peor;
+    res.set('RateLimit-Limit', String(peor.limite));
+    res.set('RateLimit-Remaining', String(peor.restantes));
+    res.set('RateLimit-Reset', String(peor.reinicioSegundos));
+    res.set('RateLimit-Policy', `${peor.limite};w=${VENTANA_LIMITE_MS / 1000}`);
+  }
+
+  if (peor.excedido) {
+    if (unidades > 1) {
+      for (const resultado of resultados) {
+        CONTADORES_LIMITE.get(resultado.clave).usados -= unidades;
+      }
+    }
+    responderLimiteExcedido(
+      res,
+      peor.reinicioSegundos,
+      'Limite de solicitudes excedido. Intenta de nuevo mas tarde.',
+      { presupuesto: nombre, ...(unidades > 1 ? { unidades } : {}) }
     );
+    return false;
+  }
+  return true;
+}
 
-    const uniqueIdAnterior = config.uniqueId;
-    config.uniqueId = nuevoUniqueId;
-    config.fechaCambioUniqueId = new Date().toISOString();
+// Middleware por ruta para los presupuestos 'traccar' y 'comandos'
+function limitar(nombre) {
+  return (req, res, next) => {
+    if (aplicarPresupuesto(nombre, req, res)) next();
+  };
+}
 
-    guardarVehiculos();
+// Segundos que le quedan de bloqueo a la IP (0 si no esta bloqueada)
+function bloqueoAuthRestante(ip, ahora) {
+  const registro = FALLOS_AUTH.get(ip);
+  if (!registro || !registro.bloqueadoHasta || registro.bloqueadoHasta <= ahora) {
+    return 0;
+  }
+  return Math.ceil((registro.bloqueadoHasta - ahora) / 1000);
+}
 
-    return res.json({
-      ok: true,
-      vehiculoId,
-      contratoId: config.contratoId,
-      uniqueIdAnterior,
+function registrarFalloAuth(ip, ahora) {
+  let registro = FALLOS_AUTH.get(ip);
+  if (
+    !registro ||
+    ahora - registro.primeroEn > AUTH_VENTANA_FALLOS_SEGUNDOS * 1000 ||
+    (registro.bloqueadoHasta && registro.bloqueadoHasta <= ahora)
+  ) {
+    registro = { fallos: 0, primeroEn: ahora, bloqueadoHasta: null };
+    FALLOS_AUTH.set(ip, registro);
+  }
+
+  registro.fallos += 1;
+  if (AUTH_MAX_FALLOS > 0 && registro.fallos >= AUTH_MAX_FALLOS) {
+    registro.bloqueadoHasta = ahora + AUTH_BLOQUEO_SEGUNDOS * 1000;
+    console.warn(
+      `IP ${ip} bloqueada ${AUTH_BLOQUEO_SEGUNDOS} segundos tras ${registro.fallos} intentos de autenticacion fallidos.`
+    );
+  }
+}
+
+// Depura contadores vencidos; se ejecuta periodicamente desde app.listen
+function limpiarContadoresLimite() {
+  const ahora = Date.now();
+  for (const [clave, contador] of CONTADORES_LIMITE) {
+    if (ahora - contador.inicio >= VENTANA_LIMITE_MS) CONTADORES_LIMITE.delete(clave);
+  }
+  for (const [ip, registro] of FALLOS_AUTH) {
+    const vencido = registro.bloqueadoHasta
+      ? registro.bloqueadoHasta <= ahora
+      : ahora - registro.primeroEn > AUTH_VENTANA_FALLOS_SEGUNDOS * 1000;
+    if (vencido) FALLOS_AUTH.delete(ip);
+  }
+}
+
+// ---------------------------
+// Cache de devices de Traccar
+// ---------------------------
+
+// Tiempo de vida del cache de devices. Al vencer, la siguiente consulta
+// descarga /devices una sola vez y reconstruye los indices.
+const DEVICES_CACHE_TTL_SEGUNDOS = parseInt(
+  process.env.DEVICES_CACHE_TTL_SEGUNDOS || '30',
+  10
+);
+const DEVICES_CACHE_TTL_MS =
+  Number.isNaN(DEVICES_CACHE_TTL_SEGUNDOS) || DEVICES_CACHE_TTL_SEGUNDOS < 0
+    ? 30000
+    : DEVICES_CACHE_TTL_SEGUNDOS * 1000;
+
+// Si un uniqueId no esta en cache, se fuerza una recarga solo si la ultima
+// tiene mas de este tiempo (evita descargar /devices por cada uniqueId
+// inexistente).
+const DEVICES_CACHE_RECARGA_MIN_MS = 5000;
+
+const DEVICES_CACHE = {
+  porUniqueId: new Map(),
+  porId: new Map(),
+  cargadoEn: 0, // epoch ms de la ultima descarga completa
+  cargaEnCurso: null, // promesa compartida mientras se descarga /devices
+  stats: {
+    hits: 0,
+    misses: 0,
+    recargas: 0,
+    erroresRecarga: 0,
+    invalidaciones: 0
+  }
+};
+
+function indexarDeviceEnCache(device) {
+  if (!device) return;
+  const anterior = DEVICES_CACHE.porId.get(device.id);
+  if (anterior && anterior.uniqueId !== device.uniqueId) {
+    DEVICES_CACHE.porUniqueId.delete(anterior.uniqueId);
+  }
+  DEVICES_CACHE.porId.set(device.id, device);
+  if (device.uniqueId) {
+    DEVICES_CACHE.porUniqueId.set(device.uniqueId, device);
+  }
+}
+
+function cacheDevicesVigente() {
+  return (
+    DEVICES_CACHE.cargadoEn > 0 &&
+    Date.now() - DEVICES_CACHE.cargadoEn < DEVICES_CACHE_TTL_MS
+  );
+}
+
+async function recargarCacheDevices() {
+  // Si ya hay una descarga en curso, todos esperan la misma
+  if (DEVICES_CACHE.cargaEnCurso) return DEVICES_CACHE.cargaEnCurso;
+
+  DEVICES_CACHE.cargaEnCurso = (async () => {
+    try {
+      const devices = await getAllDevices();
+      DEVICES_CACHE.porUniqueId = new Map();
+      DEVICES_CACHE.porId = new Map();
+      devices.forEach(indexarDeviceEnCache);
+      DEVICES_CACHE.cargadoEn = Date.now();
+      DEVICES_CACHE.stats.recargas += 1;
+      return devices;
+    } catch (err) {
+      DEVICES_CACHE.stats.erroresRecarga += 1;
+      throw err;
+    } finally {
+      DEVICES_CACHE.cargaEnCurso = null;
+    }
+  })();
+
+  return DEVICES_CACHE.cargaEnCurso;
+}
+
+async function asegurarCacheDevices() {
+  if (!cacheDevicesVigente()) {
+    await recargarCacheDevices();
+  }
+}
+
+// Devuelve el device de Traccar para un uniqueId (o null si no existe)
+async function getDeviceByUniqueId(uniqueId) {
+  await asegurarCacheDevices();
+
+  let device = DEVICES_CACHE.porUniqueId.get(uniqueId);
+  if (device) {
+    DEVICES_CACHE.stats.hits += 1;
+    return device;
+  }
+
+  DEVICES_CACHE.stats.misses += 1;
+
+  // Puede ser un device dado de alta directo en Traccar despues de la
+  // ultima recarga
+  if (Date.now() - DEVICES_CACHE.cargadoEn >= DEVICES_CACHE_RECARGA_MIN_MS) {
+    await recargarCacheDevices();
+    device = DEVICES_CACHE.porUniqueId.get(uniqueId);
+  }
+
+  return device || null;
+}
+
+// Devuelve el device de Traccar por su id interno (o null si no existe)
+async function getDeviceById(deviceId) {
+  await asegurarCacheDevices();
+
+  const device = DEVICES_CACHE.porId.get(deviceId);
+  if (device) {
+    DEVICES_CACHE.stats.hits += 1;
+    return device;
+  }
+
+  DEVICES_CACHE.stats.misses += 1;
+  return null;
+}
+
+// Se llama cuando el Orquestador crea o modifica un device en Traccar
+function invalidarDeviceEnCache(device) {
+  DEVICES_CACHE.stats.invalidaciones += 1;
+  indexarDeviceEnCache(device);
+}
+
+function invalidarCacheDevices() {
+  DEVICES_CACHE.stats.invalidaciones += 1;
+  DEVICES_CACHE.cargadoEn = 0;
+}
+
+function estadisticasCacheDevices() {
+  const { hits, misses } = DEVICES_CACHE.stats;
+  const consultas = hits + misses;
+  return {
+    ...DEVICES_CACHE.stats,
+    tasa_hit: consultas > 0 ? hits / consultas : null,
+    devices_en_cache: DEVICES_CACHE.porId.size,
+    ttl_segundos: DEVICES_CACHE_TTL_MS / 1000,
+    vigente: cacheDevicesVigente(),
+    cargado_en: DEVICES_CACHE.cargadoEn
+      ? new Date(DEVICES_CACHE.cargadoEn).toISOString()
+      : null
+  };
+}
+
+// ---------------------------
+// Helpers Traccar
+// ---------------------------
+
+async function getAllDevices() {
+  const resp = await traccarClient.get('/devices');
+  return resp.data || [];
+}
+
+// Ultima posicion conocida del device. Se pide por deviceId para no depender
+// del positionId guardado en cache, que puede estar desactualizado.
+async function getUltimaPosicionDevice(deviceId) {
+  const posResp = await traccarClient.get('/positions', {
+    params: { deviceId }
+  });
+  if (Array.isArray(posResp.data) && posResp.data.length > 0) {
+    return posResp.data[0];
+  }
+  return null;
+}
+
+async function getDeviceAndPositionByUniqueId(uniqueId) {
+  const device = await getDeviceByUniqueId(uniqueId);
+  if (!device) {
+    throw new Error('Device no encontrado para uniqueId ' + uniqueId);
+  }
+
+  const position = await getUltimaPosicionDevice(device.id);
+
+  return { device, position };
+}
+
+async function crearOActualizarDeviceEnTraccar(uniqueId, name) {
+  let device = await getDeviceByUniqueId(uniqueId);
+
+  if (device) {
+    if (device.name !== name) {
+      const resp = await traccarClient.put(`/devices/${device.id}`, {
+        ...device,
+        name
+      });
+      device = resp.data;
+      invalidarDeviceEnCache(device);
+    }
+  } else {
+    const resp = await traccarClient.post('/devices', {
+      name,
+      uniqueId
+    });
+    device = resp.data;
+    invalidarDeviceEnCache(device);
+  }
+
+  return device;
+}
+
+async function sendCommandToDevice(uniqueId, type) {
+  const device = await getDeviceByUniqueId(uniqueId);
+  if (!device) {
+    throw new Error('Device no encontrado para uniqueId ' + uniqueId);
+  }
+
+  const resp = await traccarClient.post('/commands/send', {
+    deviceId: device.id,
+    type
+  });
+
+  return {
+    device,
+    command: resp.data,
+    httpStatus: resp.status
+  };
+}
+
+// ---------------------------
+// Helpers varios
+// ---------------------------
+
+function esZonaHorariaValida(nombre) {
+  return typeof nombre === 'string' && IANAZone.isValidZone(nombre);
+}
+
+// Zona horaria efectiva: vehiculo -> contrato -> default del servidor
+function zonaHorariaDe(config) {
+  if (config && config.zonaHoraria) return config.zonaHoraria;
+  const contrato = config ? CONTRATOS[config.contratoId] : null;
+  if (contrato && contrato.zonaHoraria) return contrato.zonaHoraria;
+  return ZONA_HORARIA_DEFAULT;
+}
+
+function origenZonaHoraria(config) {
+  if (config && config.zonaHoraria) return 'vehiculo';
+  const contrato = config ? CONTRATOS[config.contratoId] : null;
+  if (contrato && contrato.zonaHoraria) return 'contrato';
+  return 'servidor';
+}
+
+function utcToLocal(isoString, zonaHoraria) {
+  if (!isoString) return null;
+  return DateTime.fromISO(isoString, { zone: 'utc' })
+    .setZone(zonaHoraria || ZONA_HORARIA_DEFAULT)
+    .toISO();
+}
+
+function esCoordenadaValida(punto) {
+  return (
+    !!punto &&
+    typeof punto.lat === 'number' &&
+    typeof punto.lon === 'number' &&
+    punto.lat >= -90 &&
+    punto.lat <= 90 &&
+    punto.lon >= -180 &&
+    punto.lon <= 180
+  );
+}
+
+function distanciaMetros(lat1, lon1, lat2, lon2) {
+  function toRad(g) {
+    return (g * Math.PI) / 180;
+  }
+  const R = 6371000; // metros
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) *
+      Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// ---------------------------
+// Geometria de zonas (circulo / poligono)
+// ---------------------------
+
+function esZonaPoligono(zona) {
+  return zona.tipo === 'poligono' && Array.isArray(zona.poligono);
+}
+
+// Acepta un GeoJSON Polygon (o Feature con geometria Polygon), usando solo el
+// anillo exterior, o un arreglo de vertices [{ lat, lon }, ...].
+// Regresa { vertices } o { error }.
+function normalizarPoligono(entrada) {
+  let vertices;
+
+  const geometria =
+    entrada && entrada.type === 'Feature' ? entrada.geometry : entrada;
+
+  if (geometria && geometria.type === 'Polygon') {
+    const anillo = Array.isArray(geometria.coordinates)
+      ? geometria.coordinates[0]
+      : null;
+    if (!Array.isArray(anillo)) {
+      return { error: 'poligono GeoJSON sin coordenadas validas.' };
+    }
+    // GeoJSON usa [lon, lat]
+    vertices = anillo.map((c) =>
+      Array.isArray(c) ? { lat: c[1], lon: c[0] } : null
+    );
+  } else if (Array.isArray(entrada)) {
+    vertices = entrada.map((v) =>
+      v && typeof v === 'object' ? { lat: v.lat, lon: v.lon } : null
+    );
+  } else {
+    return {
+      error:
+        'poligono debe ser un GeoJSON Polygon o un arreglo de vertices { lat, lon }.'
+    };
+  }
+
+  const invalido = vertices.some(
+    (v) =>
+      !v ||
+      typeof v.lat !== 'number' ||
+      typeof v.lon !== 'number' ||
+      v.lat < -90 ||
+      v.lat > 90 ||
+      v.lon < -180 ||
+      v.lon > 180
+  );
+  if (invalido) {
+    return { error: 'poligono contiene vertices con lat/lon invalidos.' };
+  }
+
+  // El anillo cerrado repite el primer vertice al final
+  const primero = vertices[0];
+  const ultimo = vertices[vertices.length - 1];
+  if (
+    vertices.length > 1 &&
+    primero.lat === ultimo.lat &&
+    primero.lon === ultimo.lon
+  ) {
+    vertices = vertices.slice(0, -1);
+  }
+
+  if (vertices.length < 3) {
+    return { error: 'poligono debe tener al menos 3 vertices distintos.' };
+  }
+  if (vertices.length > ZONA_POLIGONO_MAX_VERTICES) {
+    return {
+      error: `poligono no puede tener mas de ${ZONA_POLIGONO_MAX_VERTICES} vertices.`
+    };
+  }
+
+  return { vertices };
+}
+
+function centroidePoligono(vertices) {
+  const suma = vertices.reduce(
+    (acc, v) => ({ lat: acc.lat + v.lat, lon: acc.lon + v.lon }),
+    { lat: 0, lon: 0 }
+  );
+  return { lat: suma.lat / vertices.length, lon: suma.lon / vertices.length };
+}
+
+// Proyeccion equirectangular local (metros) alrededor de un punto de
+// referencia; suficiente para geocercas de cientos de metros.
+function proyectarMetros(lat, lon, latRef, lonRef) {
+  const R = 6371000;
+  const rad = Math.PI / 180;
+  return {
+    x: (lon - lonRef) * rad * R * Math.cos(latRef * rad),
+    y: (lat - latRef) * rad * R
+  };
+}
+
+// Geometria GeoJSON de la zona (coordenadas [lon, lat], anillo cerrado).
+// GeoJSON no tiene circulos: la zona circular se aproxima con un poligono
+// regular del radio del cliente.
+function geometriaGeoJsonZona(zona, lados = 64) {
+  let anillo;
+  if (esZonaPoligono(zona)) {
+    anillo = zona.poligono.map((v) => [v.lon, v.lat]);
+  } else {
+    if (!esCoordenadaValida(zona.centro) || typeof zona.radio_cliente_m !== 'number') {
+      return null;
+    }
+    const R = 6371000;
+    const rad = Math.PI / 180;
+    const { lat, lon } = zona.centro;
+    anillo = [];
+    for (let i = 0; i < lados; i += 1) {
+      const angulo = (2 * Math.PI * i) / lados;
+      const dy = zona.radio_cliente_m * Math.cos(angulo);
+      const dx = zona.radio_cliente_m * Math.sin(angulo);
+      anillo.push([
+        lon + dx / (R * Math.cos(lat * rad) * rad),
+        lat + dy / (R * rad)
+      ]);
+    }
+  }
+  if (anillo.length === 0) return null;
+  return { type: 'Polygon', coordinates: [[...anillo, anillo[0]]] };
+}
+
+function distanciaPuntoSegmento(p, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const largo2 = dx * dx + dy * dy;
+  let t = largo2 > 0 ? ((p.x - a.x) * dx + (p.y - a.y) * dy) / largo2 : 0;
+  t = Math.max(0, Math.min(1, t));
+  const cx = a.x + t * dx;
+  const cy = a.y + t * dy;
+  return Math.hypot(p.x - cx, p.y - cy);
+}
+
+// Punto en poligono (ray casting) y distancia al borde mas cercano
+function evaluarPuntoEnPoligono(vertices, lat, lon) {
+  const p = { x: 0, y: 0 };
+  const puntos = vertices.map((v) => proyectarMetros(v.lat, v.lon, lat, lon));
+
+  let dentro = false;
+  let distanciaBorde = Infinity;
+
+  for (let i = 0, j = puntos.length - 1; i < puntos.length; j = i++) {
+    const a = puntos[i];
+    const b = puntos[j];
+
+    if (
+      a.y > p.y !== b.y > p.y &&
+      p.x < ((b.x - a.x) * (p.y - a.y)) / (b.y - a.y) + a.x
+    ) {
+      dentro = !dentro;
+    }
+
+    distanciaBorde = Math.min(distanciaBorde, distanciaPuntoSegmento(p, a, b));
+  }
+
+  return { dentro, distanciaBorde };
+}
+
+// Mide una posicion contra la zona.
+//  - distancia_m: circulo -> al centro; poligono -> al borde mas cercano
+//  - dentro: dentro del limite del cliente (radio_cliente_m o el poligono)
+//  - fuera: mas alla del limite interno (radio_interno_m o poligono + margen_m)
+function medirPosicionEnZona(zona, lat, lon) {
+  if (esZonaPoligono(zona)) {
+    const { dentro, distanciaBorde } = evaluarPuntoEnPoligono(
+      zona.poligono,
+      lat,
+      lon
+    );
+    const margen = zona.margen_m || ZONA_POLIGONO_MARGEN_DEFAULT_M;
+    return {
+      distancia_m: distanciaBorde,
+      dentro,
+      fuera: !dentro && distanciaBorde > margen
+    };
+  }
+
+  const distancia = distanciaMetros(zona.centro.lat, zona.centro.lon, lat, lon);
+  return {
+    distancia_m: distancia,
+    dentro: distancia <= zona.radio_cliente_m,
+    fuera: distancia > zona.radio_interno_m
+  };
+}
+
+// Campos de geometria que se incluyen en respuestas y eventos
+function resumenGeometriaZona(zona) {
+  return {
+    tipo_zona: esZonaPoligono(zona) ? 'poligono' : 'circulo',
+    radio_cliente_m: zona.radio_cliente_m ?? null,
+    radio_interno_m: zona.radio_interno_m ?? null,
+    margen_m: esZonaPoligono(zona) ? zona.margen_m : null
+  };
+}
+
+function horaDentroDeVentana(horaInicio, horaFin, dtLocal) {
+  if (!horaInicio || !horaFin) return true;
+  const [hIni, mIni] = horaInicio.split(':').map(Number);
+  const [hFin, mFin] = horaFin.split(':').map(Number);
+  const minutosActual = dtLocal.hour * 60 + dtLocal.minute;
+  const minutosIni = hIni * 60 + mIni;
+  const minutosFin = hFin * 60 + mFin;
+
+  if (Number.isNaN(minutosIni) || Number.isNaN(minutosFin)) return true;
+
+  if (minutosIni <= minutosFin) {
+    return minutosActual >= minutosIni && minutosActual <= minutosFin;
+  }
+
+  // Cruza medianoche
+  return minutosActual >= minutosIni || minutosActual <= minutosFin;
+}
+
+function codigoDiaSemana(dtLocal) {
+  const dias = ['DO', 'LU', 'MA', 'MI', 'JU', 'VI', 'SA'];
+  const idx = dtLocal.weekday % 7; // 1..7
+  return dias[idx];
+}
+
+// La zona aplica si el dia y la hora local caen dentro de su ventana
+function zonaAplicaEnVentana(zona, dtLocal) {
+  return (
+    zona.diasSemana.includes(codigoDiaSemana(dtLocal)) &&
+    horaDentroDeVentana(zona.horaInicio, zona.horaFin, dtLocal)
+  );
+}
+
+function knotsToKmh(knots) {
+  if (typeof knots !== 'number') return null;
+  return knots * 1.852;
+}
+
+// ---------------------------
+// Outbox de eventos hacia ORQ_EVENT_URL
+// ---------------------------
+
+// Los eventos se guardan en disco antes de enviarse, asi sobreviven a
+// reinicios y a caidas del receptor. Un worker reintenta con backoff
+// exponencial; al agotar intentos pasan a la lista de fallidos, que conserva
+// solo los OUTBOX_FALLIDOS_MAX mas recientes.
+const OUTBOX_MAX_INTENTOS = enteroDeEntorno('OUTBOX_MAX_INTENTOS', 8);
+const OUTBOX_BACKOFF_BASE_SEGUNDOS = enteroDeEntorno(
+  'OUTBOX_BACKOFF_BASE_SEGUNDOS',
+  5
+);
+const OUTBOX_BACKOFF_MAX_SEGUNDOS = enteroDeEntorno(
+  'OUTBOX_BACKOFF_MAX_SEGUNDOS',
+  900
+);
+const OUTBOX_FALLIDOS_MAX = enteroDeEntorno('OUTBOX_FALLIDOS_MAX', 1000);
+const OUTBOX_INTERVALO_MS = 5000;
+
+let OUTBOX = { pendientes: [], fallidos: [] };
+let OUTBOX_PROCESANDO = false;
+
+function cargarOutbox() {
+  const data = leerColeccion('outbox') || {};
+  OUTBOX = {
+    pendientes: Array.isArray(data.pendientes) ? data.pendientes : [],
+    fallidos: Array.isArray(data.fallidos) ? data.fallidos : []
+  };
+}
+
+function guardarOutbox() {
+  const sobrantes = OUTBOX.fallidos.length - OUTBOX_FALLIDOS_MAX;
+  if (sobrantes > 0) {
+    OUTBOX.fallidos = OUTBOX.fallidos.slice(sobrantes);
+    console.warn(
+      `Outbox: se descartan ${sobrantes} eventos fallidos antiguos (maximo ${OUTBOX_FALLIDOS_MAX}).`
+    );
+  }
+
+  escribirColeccion('outbox', OUTBOX);
+}
+
+cargarOutbox();
+
+function calcularBackoffMs(intentos) {
+  const base = OUTBOX_BACKOFF_BASE_SEGUNDOS * 1000;
+  const max = OUTBOX_BACKOFF_MAX_SEGUNDOS * 1000;
+  const exponencial = Math.min(max, base * 2 ** Math.max(0, intentos - 1));
+  // Jitter de hasta 20% para no reintentar todo al mismo tiempo
+  return Math.round(exponencial * (0.8 + Math.random() * 0.2));
+}
+
+// Encola un evento para ORQ_EVENT_URL y dispara un intento de envio inmediato
+function encolarEvento(tipoEvento, body) {
+  if (!ORQ_EVENT_URL) {
+    console.warn(
+      `Evento ${tipoEvento} para ${body.vehiculoId} (no se envio, ORQ_EVENT_URL vacia)`
+    );
+    return null;
+  }
+
+  const ahoraIso = new Date().toISOString();
+  const eventoId = crypto.randomUUID();
+  const entrada = {
+    id: eventoId,
+    tipoEvento,
+    vehiculoId: body.vehiculoId || null,
+    body: {
+      eventoId,
+      versionEsquema: EVENTOS_VERSION_ESQUEMA,
+      emitidoEn: ahoraIso,
+      ...body
+    },
+    intentos: 0,
+    creadoEn: ahoraIso,
+    proximoIntentoEn: ahoraIso,
+    ultimoIntentoEn: null,
+    ultimoError: null
+  };
+
+  OUTBOX.pendientes.push(entrada);
+  guardarOutbox();
+
+  procesarOutbox().catch((err) =>
+    console.error('Error procesando outbox:', err.message)
+  );
+
+  return entrada;
+}
+
+async function entregarEntradaOutbox(entrada) {
+  // Se firma el cuerpo exacto que se envia; la firma lleva su propio
+  // timestamp para que el receptor pueda rechazar reenvios viejos.
+  const cuerpoRaw = JSON.stringify(entrada.body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-ama-event-id': entrada.id,
+    'x-ama-event-version': String(
+      entrada.body.versionEsquema || EVENTOS_VERSION_ESQUEMA
+    )
+  };
+
+  if (ORQ_EVENT_SECRETS.length > 0) {
+    headers[HEADER_FIRMA] = firmarPayload(cuerpoRaw, ORQ_EVENT_SECRETS);
+  }
+
+  await axios.post(ORQ_EVENT_URL, cuerpoRaw, { headers, timeout: 10000 });
+}
+
+function entradasOutboxVencidas() {
+  const ahoraMs = Date.now();
+  return OUTBOX.pendientes.filter(
+    (e) => Date.parse(e.proximoIntentoEn) <= ahoraMs
+  );
+}
+
+async function procesarOutbox() {
+  if (OUTBOX_PROCESANDO || !ORQ_EVENT_URL) return;
+  OUTBOX_PROCESANDO = true;
+
+  try {
+    // Se repite mientras haya vencidas: los eventos encolados durante un
+    // envio no esperan al siguiente tick del worker
+    let vencidas = entradasOutboxVencidas();
+
+    while (vencidas.length > 0) {
+      for (const entrada of vencidas) {
+        await intentarEntregaOutbox(entrada);
+      }
+      guardarOutbox();
+      vencidas = entradasOutboxVencidas();
+    }
+  } finally {
+    OUTBOX_PROCESANDO = false;
+  }
+}
+
+async function intentarEntregaOutbox(entrada) {
+  entrada.intentos += 1;
+  entrada.ultimoIntentoEn = new Date().toISOString();
+
+  try {
+    await entregarEntradaOutbox(entrada);
+    OUTBOX.pendientes = OUTBOX.pendientes.filter((e) => e.id !== entrada.id);
+    console.log(
+      `Evento ${entrada.tipoEvento} enviado para vehiculo ${entrada.vehiculoId} -> ${ORQ_EVENT_URL} (intento ${entrada.intentos})`
+    );
+  } catch (err) {
+    entrada.ultimoError = err.response
+      ? `HTTP ${err.response.status}`
+      : err.message;
+
+    if (entrada.intentos >= OUTBOX_MAX_INTENTOS) {
+      OUTBOX.pendientes = OUTBOX.pendientes.filter((e) => e.id !== entrada.id);
+      OUTBOX.fallidos.push({
+        ...entrada,
+        fallidoEn: new Date().toISOString()
+      });
+      console.error(
+        `Evento ${entrada.tipoEvento} para ${entrada.vehiculoId} movido a fallidos tras ${entrada.intentos} intentos: ${entrada.ultimoError}`
+      );
+    } else {
+      entrada.proximoIntentoEn = new Date(
+        Date.now() + calcularBackoffMs(entrada.intentos)
+      ).toISOString();
+      console.warn(
+        `Error enviando evento ${entrada.tipoEvento} para ${entrada.vehiculoId} (intento ${entrada.intentos}): ${entrada.ultimoError}. Reintento en ${entrada.proximoIntentoEn}`
+      );
+    }
+  }
+}
+
+// Regresa un evento fallido a pendientes con el contador de intentos en cero
+function reencolarFallido(eventoId) {
+  const entrada = OUTBOX.fallidos.find((e) => e.id === eventoId);
+  if (!entrada) return null;
+
+  OUTBOX.fallidos = OUTBOX.fallidos.filter((e) => e.id !== eventoId);
+  const { fallidoEn, ...resto } = entrada;
+  const reencolada = {
+    ...resto,
+    intentos: 0,
+    proximoIntentoEn: new Date().toISOString(),
+    reintentadoDesdeFallidosEn: new Date().toISOString()
+  };
+  OUTBOX.pendientes.push(reencolada);
+  return reencolada;
+}
+
+// ---------------------------
+// Seguimiento de comandos de motor (engineStop / engineResume)
+// ---------------------------
+
+// Traccar solo confirma que recibio /commands/send (200 = enviado al equipo
+// conectado, 202 = encolado porque el equipo esta desconectado). Un worker
+// sigue cada comando hasta saber si el equipo lo ejecuto:
+//   enviado | en_cola -> entregado -> ejecutado | fallido | expirado
+// Un corte seguro empieza antes, retenido por el Orquestador hasta que la
+// velocidad lo permita (ver "Corte seguro"):
+//   pendiente_velocidad -> enviado | en_cola ... | expirado | cancelado
+// Al enviar un comando nuevo, los anteriores del vehiculo que sigan sin
+// resolver quedan 'reemplazado': un resultado del equipo solo se atribuye al
+// comando enviado mas recientemente antes de ese resultado.
+// ESTADO_CORTE solo cambia cuando el comando queda 'ejecutado'.
+
+const COMANDO_TIMEOUT_SEGUNDOS = enteroDeEntorno('COMANDO_TIMEOUT_SEGUNDOS', 600);
+const COMANDOS_INTERVALO_SEGUNDOS = enteroDeEntorno(
+  'COMANDOS_INTERVALO_SEGUNDOS',
+  15,
+  0
+);
+// Comandos terminados con mas antiguedad se depuran al guardar
+const COMANDOS_RETENCION_DIAS = 7;
+
+const ESTADOS_COMANDO_FINALES = new Set([
+  'ejecutado',
+  'fallido',
+  'expirado',
+  'cancelado',
+  'reemplazado'
+]);
+
+let COMANDOS = {};
+let COMANDOS_REVISANDO = false;
+
+function cargarComandos() {
+  COMANDOS = leerColeccion('comandos') || {};
+}
+
+function guardarComandos() {
+  const limite = Date.now() - COMANDOS_RETENCION_DIAS * 24 * 3600 * 1000;
+  for (const [comandoId, comando] of Object.entries(COMANDOS)) {
+    if (
+      ESTADOS_COMANDO_FINALES.has(comando.estado) &&
+      Date.parse(comando.actualizadoEn) < limite
+    ) {
+      delete COMANDOS[comandoId];
+    }
+  }
+
+  escribirColeccion('comandos', COMANDOS);
+}
+
+cargarComandos();
+
+function comandoTerminado(comando) {
+  return ESTADOS_COMANDO_FINALES.has(comando.estado);
+}
+
+function cambiarEstadoComando(comando, estado, detalle) {
+  if (comando.estado === estado) return false;
+
+  const ahora = new Date().toISOString();
+  comando.estado = estado;
+  comando.actualizadoEn = ahora;
+  comando.historial.push({ estado, en: ahora, detalle: detalle || null });
+
+  if (estado === 'ejecutado') {
+    setEstadoCorte(
+      comando.vehiculoId,
+      comando.tipo === 'engineStop' ? 'cortado' : 'normal',
+      comando.comandoId
+    );
+  }
+
+  console.log(
+    `Comando ${comando.tipo} ${comando.comandoId} (vehiculo ${comando.vehiculoId}) -> ${estado}${detalle ? ': ' + detalle : ''}`
+  );
+  return true;
+}
+
+// Momento en que el comando salio a Traccar; null si es un corte seguro que
+// nunca se envio. Los comandos previos a enviadoEn solo tienen creadoEn.
+function envioDeComando(comando) {
+  return comando.enviadoEn || (comando.modo === 'seguro' ? null : comando.creadoEn);
+}
+
+// Fin de la ventana de evidencia de un comando: el envio del siguiente
+// comando al mismo vehiculo (o null si no hay uno posterior)
+function finVentanaComando(comando) {
+  const desde = envioDeComando(comando);
+  let fin = null;
+  for (const otro of Object.values(COMANDOS)) {
+    if (otro === comando || otro.vehiculoId !== comando.vehiculoId) continue;
+    const envio = envioDeComando(otro);
+    if (envio && envio > desde && (!fin || envio < fin)) fin = envio;
+  }
+  return fin;
+}
+
+// Marca como 'reemplazado' los comandos ya enviados del vehiculo que siguen
+// sin resolver. Un corte seguro retenido tiene su propio flujo (cancelar).
+function reemplazarComandosAnteriores(nuevo) {
+  for (const anterior of Object.values(COMANDOS)) {
+    if (
+      anterior === nuevo ||
+      anterior.vehiculoId !== nuevo.vehiculoId ||
+      comandoTerminado(anterior) ||
+      anterior.estado === 'pendiente_velocidad'
+    ) {
+      continue;
+    }
+    anterior.reemplazadoPor = nuevo.comandoId;
+    cambiarEstadoComando(
+      anterior,
+      'reemplazado',
+      `Reemplazado por ${nuevo.tipo} ${nuevo.comandoId}`
+    );
+  }
+}
+
+// Envia el comando a Traccar y lo registra para seguimiento
+async function enviarComandoRastreado(vehiculoId, config, tipo) {
+  const { device, command, httpStatus } = await sendCommandToDevice(
+    config.uniqueId,
+    tipo
+  );
+
+  const ahora = new Date();
+  const estado = httpStatus === 202 ? 'en_cola' : 'enviado';
+
+  const comando = {
+    comandoId: 'cmd-' + crypto.randomUUID(),
+    vehiculoId,
+    contratoId: config.contratoId,
+    uniqueId: config.uniqueId,
+    deviceId: device.id,
+    tipo,
+    traccarCommandId: (command && command.id) || null,
+    estado,
+    creadoEn: ahora.toISOString(),
+    actualizadoEn: ahora.toISOString(),
+    enviadoEn: ahora.toISOString(),
+    expiraEn: new Date(
+      ahora.getTime() + COMANDO_TIMEOUT_SEGUNDOS * 1000
+    ).toISOString(),
+    resultado: null,
+    evidencia: null,
+    ultima_ignicion: null,
+    historial: [
+      {
+        estado,
+        en: ahora.toISOString(),
+        detalle:
+          estado === 'en_cola'
+            ? 'Equipo desconectado; Traccar encolo el comando'
+            : 'Traccar envio el comando al equipo'
+      }
+    ]
+  };
+
+  COMANDOS[comando.comandoId] = comando;
+  reemplazarComandosAnteriores(comando);
+  guardarComandos();
+
+  return comando;
+}
+
+function resultadoIndicaFallo(texto) {
+  return /error|fail|fallo|invalid|denied|rechaz|not support/i.test(texto || '');
+}
+
+// Estado de corte que reporta el equipo en los atributos de una posicion:
+// 'blocked' (estandar de Traccar) o la salida digital 'out1' que usan la
+// mayoria de los equipos para el relevador. Regresa { estado, fuente } o null.
+function estadoCorteSegunAtributos(attrs) {
+  for (const clave of ['blocked', 'out1']) {
+    if (typeof attrs[clave] === 'boolean') {
+      return {
+        estado: attrs[clave] ? 'cortado' : 'normal',
+        fuente: `${clave}=${attrs[clave]}`
+      };
+    }
+  }
+  return null;
+}
+
+function confirmacionPorAtributos(tipo, attrs) {
+  const segunEquipo = estadoCorteSegunAtributos(attrs);
+  const esperado = tipo === 'engineStop' ? 'cortado' : 'normal';
+  return segunEquipo && segunEquipo.estado === esperado ? segunEquipo.fuente : null;
+}
+
+// Revisa en Traccar la evidencia de ejecucion de un comando pendiente.
+// Regresa true si el comando cambio de estado.
+async function revisarComando(comando) {
+  // Un corte seguro retenido aun no llega a Traccar
+  if (comandoTerminado(comando) || comando.estado === 'pendiente_velocidad') {
+    return false;
+  }
+
+  // Solo evidencia entre el envio de este comando y el del siguiente
+  const from = envioDeComando(comando);
+  const finVentana = finVentanaComando(comando);
+  const to = finVentana || new Date().toISOString();
+  const enVentana = (hora) =>
+    !!hora && Date.parse(hora) >= Date.parse(from) && Date.parse(hora) < Date.parse(to);
+  const estadoInicial = comando.estado;
+
+  // 1) Resultado reportado por el equipo (evento commandResult)
+  const eventosResp = await traccarClient.get('/reports/events', {
+    params: { deviceId: comando.deviceId, from, to, type: 'commandResult' }
+  });
+  const eventoResultado = (eventosResp.data || [])
+    .filter((e) => enVentana(e.eventTime))
+    .sort((a, b) => Date.parse(a.eventTime) - Date.parse(b.eventTime))[0];
+
+  if (eventoResultado) {
+    const texto =
+      (eventoResultado.attributes && eventoResultado.attributes.result) || '';
+    comando.resultado = texto || null;
+    comando.evidencia = 'evento commandResult';
+    cambiarEstadoComando(
+      comando,
+      resultadoIndicaFallo(texto) ? 'fallido' : 'ejecutado',
+      texto ? `Resultado del equipo: ${texto}` : 'Evento commandResult'
+    );
+    return true;
+  }
+
+  // 2) Posiciones posteriores al envio: resultado, bloqueo o salida
+  const posResp = await traccarClient.get('/positions', {
+    params: { deviceId: comando.deviceId, from, to }
+  });
+
+  const posiciones = (posResp.data || [])
+    .filter((p) => enVentana(p.fixTime))
+    .sort((a, b) => Date.parse(a.fixTime) - Date.parse(b.fixTime));
+
+  for (const position of posiciones) {
+    const attrs = position.attributes || {};
+
+    if (typeof attrs.ignition === 'boolean') {
+      comando.ultima_ignicion = attrs.ignition;
+    }
+
+    if (typeof attrs.result === 'string' && attrs.result) {
+      comando.resultado = attrs.result;
+      comando.evidencia = `posicion ${position.id} (result)`;
+      cambiarEstadoComando(
+        comando,
+        resultadoIndicaFallo(attrs.result) ? 'fallido' : 'ejecutado',
+        `Resultado del equipo: ${attrs.result}`
+      );
+      return true;
+    }
+
+    const confirmacion = confirmacionPorAtributos(comando.tipo, attrs);
+    if (confirmacion) {
+      comando.evidencia = `posicion ${position.id} (${confirmacion})`;
+      cambiarEstadoComando(comando, 'ejecutado', `Confirmado por ${confirmacion}`);
+      return true;
+    }
+  }
+
+  // 3) Comando encolado: Traccar lo entrega cuando el equipo se reconecta
+  if (comando.estado === 'en_cola') {
+    const device = await getDeviceById(comando.deviceId);
+    if (
+      device &&
+      device.status === 'online' &&
+      device.lastUpdate &&
+      Date.parse(device.lastUpdate) > Date.parse(from)
+    ) {
+      cambiarEstadoComando(
+        comando,
+        'entregado',
+        'El equipo se reconecto despues de encolar el comando'
+      );
+    }
+  }
+
+  // 4) Sin confirmacion dentro del tiempo limite
+  if (Date.now() > Date.parse(comando.expiraEn)) {
+    cambiarEstadoComando(
+      comando,
+      'expirado',
+      `Sin confirmacion del equipo en ${COMANDO_TIMEOUT_SEGUNDOS} segundos`
+    );
+  }
+
+  return comando.estado !== estadoInicial;
+}
+
+async function revisarComandosPendientes() {
+  if (COMANDOS_REVISANDO) return;
+  COMANDOS_REVISANDO = true;
+
+  let cambios = 0;
+  try {
+    const pendientes = Object.values(COMANDOS).filter((c) => !comandoTerminado(c));
+
+    for (const comando of pendientes) {
+      try {
+        if (await revisarComando(comando)) cambios += 1;
+      } catch (err) {
+        console.error(
+          `Error revisando comando ${comando.comandoId} (vehiculo ${comando.vehiculoId}):`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    if (cambios > 0) guardarComandos();
+    COMANDOS_REVISANDO = false;
+  }
+}
+
+// Ultimo comando de motor aun sin resolver para el vehiculo (o null)
+function comandoPendienteDe(vehiculoId) {
+  return (
+    Object.values(COMANDOS)
+      .filter((c) => c.vehiculoId === vehiculoId && !comandoTerminado(c))
+      .sort((a, b) => Date.parse(b.creadoEn) - Date.parse(a.creadoEn))[0] ||
+    null
+  );
+}
+
+function resumenComando(comando) {
+  if (!comando) return null;
+  return {
+    comandoId: comando.comandoId,
+    tipo: comando.tipo,
+    estado: comando.estado,
+    creadoEn: comando.creadoEn,
+    actualizadoEn: comando.actualizadoEn
+  };
+}
+
+// ---------------------------
+// Corte seguro (retenido hasta que la velocidad lo permita)
+// ---------------------------
+
+// En modo seguro el Orquestador no envia engineStop de inmediato: el comando
+// queda 'pendiente_velocidad' y un worker revisa la velocidad de la unidad.
+// Se envia cuando al menos dos posiciones nuevas (fixTime distinto) reportan
+// <= umbral_kmh y abarcan estable_segundos segun su fixTime; con
+// estable_segundos = 0 basta una. Una posicion con mas de
+// CORTE_SEGURO_POSICION_MAX_SEGUNDOS de antiguedad no cuenta: un equipo
+// desconectado no puede probar que la unidad se detuvo. Si no ocurre antes de
+// expiraEn, el comando expira.
+// umbral_kmh y estable_segundos se pueden configurar por vehiculo
+// (config.corteSeguro); sin valor se usan los defaults.
+const CORTE_SEGURO_ESTABLE_SEGUNDOS = enteroDeEntorno(
+  'CORTE_SEGURO_ESTABLE_SEGUNDOS',
+  30,
+  0
+);
+const CORTE_SEGURO_TIMEOUT_SEGUNDOS = enteroDeEntorno(
+  'CORTE_SEGURO_TIMEOUT_SEGUNDOS',
+  1800
+);
+const CORTE_SEGURO_TIMEOUT_MAX_SEGUNDOS = 6 * 3600;
+const CORTE_SEGURO_INTERVALO_SEGUNDOS = enteroDeEntorno(
+  'CORTE_SEGURO_INTERVALO_SEGUNDOS',
+  5
+);
+const CORTE_SEGURO_POSICION_MAX_SEGUNDOS = enteroDeEntorno(
+  'CORTE_SEGURO_POSICION_MAX_SEGUNDOS',
+  120
+);
+
+let CORTES_SEGUROS_REVISANDO = false;
+
+function parametrosCorteSeguro(config) {
+  const propios = config.corteSeguro || {};
+  return {
+    umbral_kmh: propios.umbral_kmh ?? CORTE_UMBRAL_KMH,
+    estable_segundos: propios.estable_segundos ?? CORTE_SEGURO_ESTABLE_SEGUNDOS
+  };
+}
+
+// Valida { umbral_kmh, estable_segundos } (numero o null = default).
+// Regresa el mensaje de error o null.
+function validarParametrosCorteSeguro({ umbral_kmh, estable_segundos }) {
+  if (
+    umbral_kmh !== undefined &&
+    umbral_kmh !== null &&
+    (typeof umbral_kmh !== 'number' || umbral_kmh < 0 || umbral_kmh > 120)
+  ) {
+    return 'umbral_kmh debe ser numero entre 0 y 120, o null para usar el default.';
+  }
+  if (
+    estable_segundos !== undefined &&
+    estable_segundos !== null &&
+    (!Number.isInteger(estable_segundos) || estable_segundos < 0 || estable_segundos > 600)
+  ) {
+    return 'estable_segundos debe ser entero entre 0 y 600, o null para usar el default.';
+  }
+  return null;
+}
+
+function corteSeguroPendienteDe(vehiculoId) {
+  return (
+    Object.values(COMANDOS).find(
+      (c) => c.vehiculoId === vehiculoId && c.estado === 'pendiente_velocidad'
+    ) || null
+  );
+}
+
+function enviarEventoCorteSeguro(tipoEvento, comando, config, extra = {}) {
+  encolarEvento(tipoEvento, {
+    tipoEvento,
+    vehiculoId: comando.vehiculoId,
+    contratoId: comando.contratoId,
+    uniqueId: config ? config.uniqueId || null : comando.uniqueId,
+    comandoId: comando.comandoId,
+    estado_comando: comando.estado,
+    umbral_kmh: comando.corteSeguro.umbral_kmh,
+    estable_segundos: comando.corteSeguro.estable_segundos,
+    velocidad_kmh: comando.corteSeguro.ultima_velocidad_kmh,
+    hora_posicion_utc: comando.corteSeguro.ultima_posicion_utc,
+    creadoEn: comando.creadoEn,
+    expiraEn: comando.expiraEn,
+    ...extra
+  });
+}
+
+// Registra un corte seguro retenido (aun no se envia nada a Traccar)
+function crearCorteSeguro(vehiculoId, config, { timeoutSegundos, velocidadKmh }) {
+  const ahora = new Date();
+  const { umbral_kmh, estable_segundos } = parametrosCorteSeguro(config);
+
+  const comando = {
+    comandoId: 'cmd-' + crypto.randomUUID(),
+    vehiculoId,
+    contratoId: config.contratoId,
+    uniqueId: config.uniqueId,
+    deviceId: null,
+    tipo: 'engineStop',
+    modo: 'seguro',
+    traccarCommandId: null,
+    estado: 'pendiente_velocidad',
+    creadoEn: ahora.toISOString(),
+    actualizadoEn: ahora.toISOString(),
+    enviadoEn: null,
+    expiraEn: new Date(ahora.getTime() + timeoutSegundos * 1000).toISOString(),
+    resultado: null,
+    evidencia: null,
+    ultima_ignicion: null,
+    corteSeguro: {
+      umbral_kmh,
+      estable_segundos,
+      bajo_umbral_desde: null,
+      posiciones_bajo_umbral: 0,
+      ultima_velocidad_kmh: velocidadKmh,
+      ultima_posicion_utc: null
+    },
+    historial: [
+      {
+        estado: 'pendiente_velocidad',
+        en: ahora.toISOString(),
+        detalle: `Corte retenido hasta que la velocidad se mantenga <= ${umbral_kmh} km/h durante ${estable_segundos} s`
+      }
+    ]
+  };
+
+  COMANDOS[comando.comandoId] = comando;
+  guardarComandos();
+  enviarEventoCorteSeguro('CORTE_SEGURO_PENDIENTE', comando, config);
+
+  return comando;
+}
+
+function cancelarCorteSeguro(comando, motivo) {
+  const config = VEHICULOS[comando.vehiculoId];
+  cambiarEstadoComando(comando, 'cancelado', motivo);
+  guardarComandos();
+  enviarEventoCorteSeguro('CORTE_SEGURO_CANCELADO', comando, config, { motivo });
+}
+
+// Revisa un corte seguro pendiente. Regresa true si el comando cambio.
+async function revisarCorteSeguro(comando) {
+  const config = VEHICULOS[comando.vehiculoId];
+  const ahora = Date.now();
+
+  if (!config || config.activo === false || !config.uniqueId) {
+    cancelarCorteSeguro(comando, 'El vehiculo ya no esta activo o no tiene uniqueId');
+    return true;
+  }
+
+  if (ahora >= Date.parse(comando.expiraEn)) {
+    cambiarEstadoComando(
+      comando,
+      'expirado',
+      'La velocidad no se mantuvo bajo el umbral antes del tiempo limite'
+    );
+    enviarEventoCorteSeguro('CORTE_SEGURO_EXPIRADO', comando, config);
+    return true;
+  }
+
+  const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
+  // Pudo cancelarse mientras se consultaba Traccar
+  if (comando.estado !== 'pendiente_velocidad') return false;
+  if (!position || typeof position.speed !== 'number' || !position.fixTime) {
+    return false;
+  }
+
+  // Solo cuentan posiciones nuevas y recientes
+  const seguro = comando.corteSeguro;
+  const fixMs = Date.parse(position.fixTime);
+  if (
+    (seguro.ultima_posicion_utc && fixMs <= Date.parse(seguro.ultima_posicion_utc)) ||
+    ahora - fixMs > CORTE_SEGURO_POSICION_MAX_SEGUNDOS * 1000
+  ) {
+    return false;
+  }
+
+  const velocidadKmh = knotsToKmh(position.speed);
+  seguro.ultima_velocidad_kmh = velocidadKmh;
+  seguro.ultima_posicion_utc = position.fixTime;
+
+  if (velocidadKmh > seguro.umbral_kmh) {
+    seguro.bajo_umbral_desde = null;
+    seguro.posiciones_bajo_umbral = 0;
+    return true;
+  }
+
+  if (!seguro.bajo_umbral_desde) {
+    seguro.bajo_umbral_desde = position.fixTime;
+    seguro.posiciones_bajo_umbral = 0;
+  }
+  seguro.posiciones_bajo_umbral += 1;
+
+  const estable =
+    seguro.estable_segundos === 0 ||
+    (seguro.posiciones_bajo_umbral >= 2 &&
+      fixMs - Date.parse(seguro.bajo_umbral_desde) >= seguro.estable_segundos * 1000);
+  if (!estable) return true;
+
+  // Mientras se envia ya no se puede cancelar
+  seguro.enviando = true;
+  let envio;
+  try {
+    envio = await sendCommandToDevice(config.uniqueId, 'engineStop');
+  } finally {
+    seguro.enviando = false;
+  }
+  const { device, command, httpStatus } = envio;
+  const enviadoEn = new Date().toISOString();
+  comando.deviceId = device.id;
+  comando.traccarCommandId = (command && command.id) || null;
+  comando.enviadoEn = enviadoEn;
+  comando.expiraEn = new Date(
+    Date.now() + COMANDO_TIMEOUT_SEGUNDOS * 1000
+  ).toISOString();
+  cambiarEstadoComando(
+    comando,
+    httpStatus === 202 ? 'en_cola' : 'enviado',
+    `Velocidad ${velocidadKmh} km/h <= ${seguro.umbral_kmh} km/h desde ${seguro.bajo_umbral_desde}; ` +
+      (httpStatus === 202
+        ? 'equipo desconectado, Traccar encolo el comando'
+        : 'Traccar envio el comando al equipo')
+  );
+  reemplazarComandosAnteriores(comando);
+  enviarEventoCorteSeguro('CORTE_SEGURO_ENVIADO', comando, config, {
+    traccarCommandId: comando.traccarCommandId,
+    enviadoEn
+  });
+  return true;
+}
+
+async function revisarCortesSeguros() {
+  if (CORTES_SEGUROS_REVISANDO) return;
+  CORTES_SEGUROS_REVISANDO = true;
+
+  let cambios = 0;
+  try {
+    const pendientes = Object.values(COMANDOS).filter(
+      (c) => c.estado === 'pendiente_velocidad'
+    );
+    for (const comando of pendientes) {
+      try {
+        if (await revisarCorteSeguro(comando)) cambios += 1;
+      } catch (err) {
+        console.error(
+          `Error revisando corte seguro ${comando.comandoId} (vehiculo ${comando.vehiculoId}):`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    if (cambios > 0) guardarComandos();
+    CORTES_SEGUROS_REVISANDO = false;
+  }
+}
+
+// ---------------------------
+// Confirmacion de corte
+// ---------------------------
+
+// Las keys sin el permiso 'corte_sin_confirmacion' (p. ej. el bot del canal
+// conversacional) cortan en dos pasos: la primera llamada a /corte regresa un
+// codigo de un solo uso y un resumen del vehiculo (alias, velocidad y
+// ubicacion); la segunda debe presentar ese codigo en codigo_confirmacion
+// antes de CORTE_CONFIRMACION_SEGUNDOS para que se envie engineStop.
+// El codigo queda ligado al vehiculo y a la key que lo pidio, y solo se
+// guarda su hash, en memoria: un reinicio invalida los codigos vigentes.
+const CORTE_CONFIRMACION_SEGUNDOS = enteroDeEntorno('CORTE_CONFIRMACION_SEGUNDOS', 120);
+// Codigos erroneos antes de invalidar el codigo vigente
+const CORTE_CONFIRMACION_MAX_INTENTOS = enteroDeEntorno(
+  'CORTE_CONFIRMACION_MAX_INTENTOS',
+  3
+);
+// Codigos que una key puede pedir por vehiculo y por minuto
+const CORTE_CONFIRMACION_CODIGOS_POR_MINUTO = enteroDeEntorno(
+  'CORTE_CONFIRMACION_CODIGOS_POR_MINUTO',
+  3
+);
+const CORTE_CONFIRMACION_DIGITOS = 6;
+
+// "<vehiculoId>:<keyId>" -> { hash, modo, timeoutSegundos, creadoEn, expiraEn, intentos }
+const DESAFIOS_CORTE = new Map();
+
+function requiereConfirmacionCorte(apiKey) {
+  return !tieneScope(apiKey, 'corte_sin_confirmacion');
+}
+
+function claveDesafioCorte(vehiculoId, actor) {
+  return `${vehiculoId}:${actor ? actor.keyId : ''}`;
+}
+
+function hashCodigoCorte(clave, codigo) {
+  return crypto
+    .createHash('sha256')
+    .update(`${clave}:${codigo}`, 'utf8')
+    .digest('hex');
+}
+
+// Emite un codigo nuevo para el vehiculo y la key; reemplaza al anterior.
+// Regresa { codigo, expiraEn } o { limite } si se excedio
+// CORTE_CONFIRMACION_CODIGOS_POR_MINUTO.
+function crearDesafioCorte(vehiculoId, actor, { modo, timeoutSegundos }) {
+  const clave = claveDesafioCorte(vehiculoId, actor);
+  const ahora = Date.now();
+
+  const limite = consumirLimite(
+    `confirmacion-corte:${clave}`,
+    CORTE_CONFIRMACION_CODIGOS_POR_MINUTO,
+    ahora
+  );
+  if (limite.excedido) return { limite };
+
+  const codigo = String(
+    crypto.randomInt(0, 10 ** CORTE_CONFIRMACION_DIGITOS)
+  ).padStart(CORTE_CONFIRMACION_DIGITOS, '0');
+  const expiraEn = new Date(ahora + CORTE_CONFIRMACION_SEGUNDOS * 1000).toISOString();
+
+  DESAFIOS_CORTE.set(clave, {
+    hash: hashCodigoCorte(clave, codigo),
+    modo,
+    timeoutSegundos,
+    creadoEn: new Date(ahora).toISOString(),
+    expiraEn,
+    intentos: 0
+  });
+
+  return { codigo, expiraEn };
+}
+
+// Valida y consume el codigo. Regresa { desafio } con el modo y timeout
+// solicitados en el primer paso, o { status, error, ... } si no es valido.
+function verificarDesafioCorte(vehiculoId, actor, codigo) {
+  const clave = claveDesafioCorte(vehiculoId, actor);
+  const desafio = DESAFIOS_CORTE.get(clave);
+
+  if (!desafio || Date.parse(desafio.expiraEn) <= Date.now()) {
+    DESAFIOS_CORTE.delete(clave);
+    return {
+      status: 409,
+      error:
+        'No hay un codigo de confirmacion vigente para este vehiculo. Solicita uno nuevo llamando /corte sin codigo_confirmacion.'
+    };
+  }
+
+  const esperado = Buffer.from(desafio.hash, 'hex');
+  const recibido = Buffer.from(hashCodigoCorte(clave, codigo), 'hex');
+  if (!crypto.timingSafeEqual(esperado, recibido)) {
+    desafio.intentos += 1;
+    const restantes = CORTE_CONFIRMACION_MAX_INTENTOS - desafio.intentos;
+    if (restantes <= 0) {
+      DESAFIOS_CORTE.delete(clave);
+      return {
+        status: 403,
+        error:
+          'Codigo de confirmacion incorrecto. Se agotaron los intentos; solicita un codigo nuevo.',
+        intentos_restantes: 0
+      };
+    }
+    return {
+      status: 403,
+      error: 'Codigo de confirmacion incorrecto.',
+      intentos_restantes: restantes
+    };
+  }
+
+  DESAFIOS_CORTE.delete(clave);
+  return { desafio };
+}
+
+// Depura codigos vencidos; se ejecuta periodicamente desde app.listen
+function limpiarDesafiosCorte() {
+  const ahora = Date.now();
+  for (const [clave, desafio] of DESAFIOS_CORTE) {
+    if (Date.parse(desafio.expiraEn) <= ahora) DESAFIOS_CORTE.delete(clave);
+  }
+}
+
+// ---------------------------
+// Programacion de comandos de motor
+// ---------------------------
+
+// Cortes y reanudaciones programados por vehiculo: de una sola vez
+// ('unica': fecha + hora) o recurrentes ('recurrente': diasSemana + hora).
+// La hora es local, en la zona horaria del vehiculo / contrato, y la
+// siguiente ejecucion se recalcula en UTC despues de cada disparo.
+// Una ejecucion se omite (y se registra como omitida) si el vehiculo esta
+// inactivo o en modoSiniestro: durante un siniestro el motor lo controla solo
+// el operador. Si el Orquestador estuvo detenido y la ejecucion se atraso mas
+// de PROGRAMACION_TOLERANCIA_MINUTOS, tampoco se ejecuta tarde.
+const PROGRAMACIONES_INTERVALO_SEGUNDOS = enteroDeEntorno(
+  'PROGRAMACIONES_INTERVALO_SEGUNDOS',
+  30,
+  0
+);
+const PROGRAMACION_TOLERANCIA_MINUTOS = enteroDeEntorno(
+  'PROGRAMACION_TOLERANCIA_MINUTOS',
+  15
+);
+// Ejecuciones recientes que se guardan en cada programacion
+const PROGRAMACION_EJECUCIONES_MAX = 20;
+const HORA_HHMM_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+let PROGRAMACIONES = {};
+let PROGRAMACIONES_REVISANDO = false;
+
+function cargarProgramaciones() {
+  PROGRAMACIONES = leerColeccion('programaciones') || {};
+}
+
+function guardarProgramaciones() {
+  escribirColeccion('programaciones', PROGRAMACIONES);
+}
+
+cargarProgramaciones();
+
+// Valida el body de una programacion. Regresa el mensaje de error o null.
+function validarProgramacion({ accion, modo, tipo, fecha, hora, diasSemana }) {
+  if (!['corte', 'reanudacion'].includes(accion)) {
+    return 'accion debe ser "corte" o "reanudacion".';
+  }
+  if (
+    modo !== undefined &&
+    (accion !== 'corte' || !['inmediato', 'seguro'].includes(modo))
+  ) {
+    return 'modo solo aplica a accion "corte" y debe ser "inmediato" o "seguro".';
+  }
+  if (!['unica', 'recurrente'].includes(tipo)) {
+    return 'tipo debe ser "unica" o "recurrente".';
+  }
+  if (typeof hora !== 'string' || !HORA_HHMM_REGEX.test(hora)) {
+    return 'hora es obligatoria y debe ser string HH:mm (hora local).';
+  }
+  if (tipo === 'unica') {
+    if (
+      typeof fecha !== 'string' ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(fecha) ||
+      !DateTime.fromISO(fecha).isValid
+    ) {
+      return 'fecha es obligatoria en programaciones unicas (YYYY-MM-DD, fecha local).';
+    }
+  } else {
+    if (!Array.isArray(diasSemana) || diasSemana.length === 0) {
+      return 'diasSemana debe ser un arreglo no vacio con codigos tipo "LU","MA","MI","JU","VI","SA","DO".';
+    }
+    const diasInvalidos = diasSemana.filter((d) => !DIAS_SEMANA_VALIDOS.has(d));
+    if (diasInvalidos.length > 0) {
+      return 'diasSemana contiene valores invalidos: ' + diasInvalidos.join(', ');
+    }
+  }
+  return null;
+}
+
+// Siguiente ejecucion (ISO UTC) estrictamente posterior a 'despues' (DateTime),
+// o null si ya no hay (programacion unica vencida)
+function siguienteEjecucionProgramacion(programacion, zonaHoraria, despues) {
+  const [h, m] = programacion.hora.split(':').map(Number);
+
+  if (programacion.tipo === 'unica') {
+    const momento = DateTime.fromISO(programacion.fecha, { zone: zonaHoraria }).set({
+      hour: h,
+      minute: m
+    });
+    return momento > despues ? momento.toUTC().toISO() : null;
+  }
+
+  const local = despues.setZone(zonaHoraria);
+  for (let i = 0; i <= 7; i += 1) {
+    const candidato = local
+      .plus({ days: i })
+      .set({ hour: h, minute: m, second: 0, millisecond: 0 });
+    if (
+      candidato > despues &&
+      programacion.diasSemana.includes(codigoDiaSemana(candidato))
+    ) {
+      return candidato.toUTC().toISO();
+    }
+  }
+  return null;
+}
+
+function resumenProgramacion(programacion) {
+  const config = VEHICULOS[programacion.vehiculoId];
+  const zonaHoraria = config ? zonaHorariaDe(config) : ZONA_HORARIA_DEFAULT;
+  return {
+    ...programacion,
+    zona_horaria: zonaHoraria,
+    proximaEjecucionLocal: utcToLocal(programacion.proximaEjecucion, zonaHoraria)
+  };
+}
+
+// Motivo por el que la ejecucion no procede, o null
+function motivoOmitirProgramacion(config, programacion, ahora) {
+  if (!config) return 'Vehiculo eliminado del Orquestador';
+  if (config.activo === false) return 'Vehiculo inactivo';
+  if (config.modoSiniestro === true) return 'Vehiculo en modo siniestro';
+  if (!config.uniqueId) return 'Vehiculo sin uniqueId';
+  const retrasoMs = ahora - Date.parse(programacion.proximaEjecucion);
+  if (retrasoMs > PROGRAMACION_TOLERANCIA_MINUTOS * 60 * 1000) {
+    return `Ejecucion atrasada ${Math.round(retrasoMs / 60000)} minutos (Orquestador detenido)`;
+  }
+  if (programacion.accion === 'corte' && corteSeguroPendienteDe(programacion.vehiculoId)) {
+    return 'Ya hay un corte seguro pendiente';
+  }
+  return null;
+}
+
+async function ejecutarProgramacion(programacion) {
+  const ahora = Date.now();
+  const config = VEHICULOS[programacion.vehiculoId];
+  const programadaPara = programacion.proximaEjecucion;
+
+  const ejecucion = {
+    programadaPara,
+    en: new Date(ahora).toISOString(),
+    resultado: null,
+    detalle: null,
+    comandoId: null,
+    estado_comando: null
+  };
+
+  const motivo = motivoOmitirProgramacion(config, programacion, ahora);
+  if (motivo) {
+    ejecucion.resultado = 'omitida';
+    ejecucion.detalle = motivo;
+  } else {
+    try {
+      let comando;
+      if (programacion.accion === 'corte' && programacion.modo === 'seguro') {
+        comando = crearCorteSeguro(programacion.vehiculoId, config, {
+          timeoutSegundos: CORTE_SEGURO_TIMEOUT_SEGUNDOS,
+          velocidadKmh: null
+        });
+      } else if (programacion.accion === 'corte') {
+        comando = await enviarComandoRastreado(programacion.vehiculoId, config, 'engineStop');
+      } else {
+        const corteRetenido = corteSeguroPendienteDe(programacion.vehiculoId);
+        if (corteRetenido) {
+          cancelarCorteSeguro(corteRetenido, 'Reanudacion programada');
+        }
+        comando = await enviarComandoRastreado(
+          programacion.vehiculoId,
+          config,
+          'engineResume'
+        );
+      }
+      comando.programacionId = programacion.programacionId;
+      guardarComandos();
+      ejecucion.resultado = 'ejecutada';
+      ejecucion.comandoId = comando.comandoId;
+      ejecucion.estado_comando = comando.estado;
+    } catch (err) {
+      ejecucion.resultado = 'error';
+      ejecucion.detalle = err.response ? `Traccar ${err.response.status}` : err.message;
+    }
+  }
+
+  programacion.ultimaEjecucion = ejecucion;
+  programacion.ejecuciones = [ejecucion, ...(programacion.ejecuciones || [])].slice(
+    0,
+    PROGRAMACION_EJECUCIONES_MAX
+  );
+
+  const zonaHoraria = config ? zonaHorariaDe(config) : ZONA_HORARIA_DEFAULT;
+  programacion.proximaEjecucion = siguienteEjecucionProgramacion(
+    programacion,
+    zonaHoraria,
+    DateTime.fromMillis(Math.max(ahora, Date.parse(programadaPara)), { zone: 'utc' })
+  );
+  if (!programacion.proximaEjecucion) programacion.estado = 'completada';
+  programacion.actualizadaEn = new Date().toISOString();
+
+  encolarEvento('COMANDO_PROGRAMADO', {
+    tipoEvento: 'COMANDO_PROGRAMADO',
+    vehiculoId: programacion.vehiculoId,
+    contratoId: programacion.contratoId,
+    uniqueId: config ? config.uniqueId || null : null,
+    programacionId: programacion.programacionId,
+    accion: programacion.accion,
+    modo: programacion.modo,
+    tipo: programacion.tipo,
+    resultado: ejecucion.resultado,
+    detalle: ejecucion.detalle,
+    comandoId: ejecucion.comandoId,
+    estado_comando: ejecucion.estado_comando,
+    programada_para_utc: programadaPara,
+    programada_para_local: utcToLocal(programadaPara, zonaHoraria),
+    zona_horaria: zonaHoraria,
+    proxima_ejecucion_utc: programacion.proximaEjecucion
+  });
+
+  console.log(
+    `Programacion ${programacion.programacionId} (${programacion.accion}, vehiculo ${programacion.vehiculoId}) -> ${ejecucion.resultado}${ejecucion.detalle ? ': ' + ejecucion.detalle : ''}`
+  );
+}
+
+async function revisarProgramaciones() {
+  if (PROGRAMACIONES_REVISANDO) return;
+  PROGRAMACIONES_REVISANDO = true;
+
+  let cambios = 0;
+  try {
+    const ahora = Date.now();
+    const vencidas = Object.values(PROGRAMACIONES).filter(
+      (p) =>
+        p.estado === 'activa' &&
+        p.proximaEjecucion &&
+        Date.parse(p.proximaEjecucion) <= ahora
+    );
+    for (const programacion of vencidas) {
+      try {
+        await ejecutarProgramacion(programacion);
+        cambios += 1;
+      } catch (err) {
+        console.error(
+          `Error ejecutando programacion ${programacion.programacionId}:`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    if (cambios > 0) guardarProgramaciones();
+    PROGRAMACIONES_REVISANDO = false;
+  }
+}
+
+// ---------------------------
+// Reconciliacion del estado de corte con Traccar
+// ---------------------------
+
+// Al arrancar se compara el estado de corte persistido contra lo que reporta
+// el equipo en su ultima posicion. No se corrige automaticamente: la
+// diferencia queda marcada en ESTADO_CORTE[vehiculoId].discrepancia hasta que
+// un comando confirmado vuelva a fijar el estado.
+async function reconciliarEstadoCorteConTraccar() {
+  const vehiculos = Object.entries(VEHICULOS).filter(
+    ([, config]) => config.uniqueId
+  );
+  if (vehiculos.length === 0) return;
+
+  await asegurarCacheDevices();
+  const posiciones = await getUltimasPosicionesPorDeviceId();
+
+  let revisados = 0;
+  let discrepancias = 0;
+
+  for (const [vehiculoId, config] of vehiculos) {
+    const device = await getDeviceByUniqueId(config.uniqueId);
+    const position = device ? posiciones.get(device.id) : null;
+    if (!position) continue;
+
+    const segunEquipo = estadoCorteSegunAtributos(position.attributes || {});
+    if (!segunEquipo) continue;
+
+    revisados += 1;
+    const persistido = estadoCorte(vehiculoId);
+    if (segunEquipo.estado === persistido) continue;
+
+    const pendiente = comandoPendienteDe(vehiculoId);
+    discrepancias += 1;
+    ESTADO_CORTE[vehiculoId] = {
+      estado: persistido,
+      desde: ESTADO_CORTE[vehiculoId] ? ESTADO_CORTE[vehiculoId].desde : null,
+      comandoId: ESTADO_CORTE[vehiculoId] ? ESTADO_CORTE[vehiculoId].comandoId : null,
+      discrepancia: {
+        estado_traccar: segunEquipo.estado,
+        fuente: segunEquipo.fuente,
+        posicionId: position.id,
+        hora_posicion: position.fixTime || position.serverTime || null,
+        comando_pendiente: pendiente ? pendiente.comandoId : null,
+        detectadaEn: new Date().toISOString()
+      }
+    };
+    console.warn(
+      `Discrepancia de corte en vehiculo ${vehiculoId}: Orquestador=${persistido}, Traccar=${segunEquipo.estado} (${segunEquipo.fuente})`
+    );
+  }
+
+  if (discrepancias > 0) guardarEstadoRuntime();
+  console.log(
+    `Reconciliacion de corte con Traccar: ${revisados} vehiculos con estado reportado, ${discrepancias} discrepancias.`
+  );
+}
+
+// ---------------------------
+// Eventos de Zona Segura
+// ---------------------------
+
+// Histeresis entre los dos limites (ver medirPosicionEnZona): se sale de la
+// zona al rebasar el limite interno y se regresa al quedar dentro del limite
+// del cliente. En la banda intermedia se conserva el estado previo, asi el
+// ruido del GPS en el borde no genera alertas repetidas.
+function siguienteEstadoZona(prevEstado, medicion) {
+  if (medicion.fuera) return 'fuera';
+  if (medicion.dentro) return 'dentro';
+  return prevEstado === 'fuera' ? 'fuera' : 'dentro';
+}
+
+// Evento a generar por una transicion de estado (o null si no aplica).
+// 'desconocido' / 'fuera_horario' -> 'fuera' cubre el caso en que la ventana
+// abre (o el motor arranca) con la unidad ya fuera de la zona.
+function eventoPorTransicionZona(prevEstado, nuevoEstado) {
+  if (nuevoEstado === 'fuera' && prevEstado !== 'fuera') {
+    return 'FUERA_DE_ZONA_SEGURA';
+  }
+  if (nuevoEstado === 'dentro' && prevEstado === 'fuera') {
+    return 'REGRESO_A_ZONA_SEGURA';
+  }
+  return null;
+}
+
+async function enviarEventoZonaSegura({
+  tipoEvento,
+  vehiculoId,
+  config,
+  zona,
+  position,
+  distancia,
+  estadoAnterior
+}) {
+  const rawTime =
+    position.serverTime || position.deviceTime || position.fixTime || null;
+  const zonaHoraria = zonaHorariaDe(config);
+  const horaLocal = utcToLocal(rawTime, zonaHoraria);
+  const lat = position.latitude;
+  const lon = position.longitude;
+
+  const googleMapsUrl =
+    lat != null && lon != null
+      ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
+      : null;
+
+  const bodyEvento = {
+    tipoEvento,
+    vehiculoId,
+    contratoId: config.contratoId,
+    uniqueId: config.uniqueId || null,
+    distancia_m: distancia,
+    ...resumenGeometriaZona(zona),
+    lat,
+    lon,
+    hora_evento_utc: rawTime,
+    hora_evento_local: horaLocal,
+    zona_horaria: zonaHoraria,
+    google_maps_url: googleMapsUrl,
+    estado_anterior: estadoAnterior,
+    al_iniciar_ventana:
+      tipoEvento === 'FUERA_DE_ZONA_SEGURA' && estadoAnterior !== 'dentro',
+    zonaId: zona.id,
+    zonaSegura: {
+      id: zona.id,
+      nombre: zona.nombre,
+      diasSemana: zona.diasSemana,
+      horaInicio: zona.horaInicio,
+      horaFin: zona.horaFin
+    }
+  };
+
+  encolarEvento(tipoEvento, bodyEvento);
+}
+
+// Metricas del motor de Zona Segura (se exponen en /api/admin/motor-zona-segura)
+const MOTOR_ZONA_SEGURA = {
+  enCurso: false,
+  ciclosEjecutados: 0,
+  ciclosOmitidos: 0, // ciclos que no arrancaron porque el anterior seguia corriendo
+  ultimoInicio: null,
+  ultimoFin: null,
+  ultimaDuracionMs: null,
+  ultimosVehiculosConZona: 0,
+  ultimosVehiculosEvaluados: 0,
+  ultimosEventos: 0,
+  ultimoError: null
+};
+
+// Ultimas posiciones de todos los devices en una sola llamada a /positions.
+// Sin parametros, Traccar devuelve la ultima posicion de cada device del usuario.
+async function getUltimasPosicionesPorDeviceId() {
+  const resp = await traccarClient.get('/positions');
+  const porDeviceId = new Map();
+  for (const position of resp.data || []) {
+    porDeviceId.set(position.deviceId, position);
+  }
+  return porDeviceId;
+}
+
+async function evaluarZonasSegurasYGenerarEventos() {
+  if (MOTOR_ZONA_SEGURA.enCurso) {
+    MOTOR_ZONA_SEGURA.ciclosOmitidos += 1;
+    console.warn(
+      'Ciclo de Zona Segura omitido: el ciclo anterior sigue en curso desde ' +
+        MOTOR_ZONA_SEGURA.ultimoInicio
+    );
+    return;
+  }
+
+  MOTOR_ZONA_SEGURA.enCurso = true;
+  const inicioMs = Date.now();
+  MOTOR_ZONA_SEGURA.ultimoInicio = new Date(inicioMs).toISOString();
+
+  let vehiculosConZona = 0;
+  let vehiculosEvaluados = 0;
+  let eventosGenerados = 0;
+
+  try {
+    const ahoraUtc = DateTime.utc();
+
+    // 1) Vehiculos con zonas activas dentro de su ventana de dia/hora
+    const candidatos = [];
+
+    for (const [vehiculoId, config] of Object.entries(VEHICULOS)) {
+      // Debe estar activo y tener uniqueId y al menos una zona activa
+      if (config.activo === false) continue;
+      if (!config.uniqueId) continue;
+      const zonasActivas = zonasSegurasDe(config).filter(
+        (z) => z.activo === true
+      );
+      if (zonasActivas.length === 0) continue;
+
+      vehiculosConZona += 1;
+
+      // Dia y hora en la zona horaria del vehiculo / contrato
+      const ahoraLocal = ahoraUtc.setZone(zonaHorariaDe(config));
+      const zonasEnVentana = [];
+      for (const zona of zonasActivas) {
+        if (!zonaAplicaEnVentana(zona, ahoraLocal)) {
+          // no hay evaluacion de distancia ni eventos para esta zona
+          setEstadoZona(vehiculoId, zona.id, 'fuera_horario');
+          continue;
+        }
+        zonasEnVentana.push(zona);
+      }
+
+      if (zonasEnVentana.length > 0) {
+        candidatos.push({ vehiculoId, config, zonas: zonasEnVentana });
+      }
+    }
+
+    if (candidatos.length === 0) return;
+
+    // 2) Devices (cache) y ultimas posiciones en bloque
+    await asegurarCacheDevices();
+    const posiciones = await getUltimasPosicionesPorDeviceId();
+
+    // 3) Evaluacion en memoria, cada zona con su propio estado
+    const eventos = [];
+
+    for (const { vehiculoId, config, zonas } of candidatos) {
+      const device = await getDeviceByUniqueId(config.uniqueId);
+      if (!device) {
+        console.warn(
+          `Device no encontrado en Traccar para Zona Segura en vehiculo ${vehiculoId} (uniqueId ${config.uniqueId})`
+        );
+        continue;
+      }
+
+      const position = posiciones.get(device.id);
+      if (!position) {
+        console.warn(
+          `Sin posicion reciente para evaluar Zona Segura en vehiculo ${vehiculoId}`
+        );
+        continue;
+      }
+
+      vehiculosEvaluados += 1;
+
+      for (const zona of zonas) {
+        const prevEstado = estadoZona(vehiculoId, zona.id);
+        const medicion = medirPosicionEnZona(
+          zona,
+          position.latitude,
+          position.longitude
+        );
+        const nuevoEstado = siguienteEstadoZona(prevEstado, medicion);
+
+        // Guardar nuevo estado
+        setEstadoZona(vehiculoId, zona.id, nuevoEstado);
+
+        // Eventos de salida / regreso (solo dentro de la ventana)
+        const tipoEvento = eventoPorTransicionZona(prevEstado, nuevoEstado);
+        if (tipoEvento) {
+          eventos.push({
+            tipoEvento,
+            estadoAnterior: prevEstado,
+            vehiculoId,
+            config,
+            zona,
+            position,
+            distancia: medicion.distancia_m
+          });
+        }
+      }
+    }
+
+    // 4) Envio de eventos en paralelo; cada envio maneja sus propios errores
+    eventosGenerados = eventos.length;
+    await Promise.all(eventos.map((ev) => enviarEventoZonaSegura(ev)));
+  } catch (err) {
+    MOTOR_ZONA_SEGURA.ultimoError = err.message;
+    console.error('Error general en evaluarZonasSegurasYGenerarEventos:', err.message);
+  } finally {
+    const duracionMs = Date.now() - inicioMs;
+    MOTOR_ZONA_SEGURA.enCurso = false;
+    MOTOR_ZONA_SEGURA.ciclosEjecutados += 1;
+    MOTOR_ZONA_SEGURA.ultimoFin = new Date().toISOString();
+    MOTOR_ZONA_SEGURA.ultimaDuracionMs = duracionMs;
+    MOTOR_ZONA_SEGURA.ultimosVehiculosConZona = vehiculosConZona;
+    MOTOR_ZONA_SEGURA.ultimosVehiculosEvaluados = vehiculosEvaluados;
+    MOTOR_ZONA_SEGURA.ultimosEventos = eventosGenerados;
+
+    if (vehiculosConZona > 0) {
+      console.log(
+        `Ciclo de Zona Segura: ${vehiculosEvaluados}/${vehiculosConZona} vehiculos evaluados, ${eventosGenerados} eventos, ${duracionMs} ms.`
+      );
+    }
+    if (
+      ZONA_SEGURA_INTERVALO_MS > 0 &&
+      duracionMs > ZONA_SEGURA_INTERVALO_MS
+    ) {
+      console.warn(
+        `Ciclo de Zona Segura tardo ${duracionMs} ms, mas que el intervalo configurado (${ZONA_SEGURA_INTERVALO_MS} ms).`
+      );
+    }
+  }
+}
+
+
+
+// ---------------------------
+// Seguimiento de siniestros
+// ---------------------------
+
+// Mientras un siniestro esta abierto, su unidad se consulta con mayor
+// frecuencia que el motor de Zona Segura: cada ciclo pide a Traccar las
+// posiciones nuevas del device, las agrega al recorrido del siniestro (una
+// bitacora por siniestro, 'siniestro-posiciones-<siniestroId>') y cada
+// SINIESTRO_EVENTO_INTERVALO_SEGUNDOS emite un evento SINIESTRO_POSICION con
+// la ultima posicion conocida.
+const SINIESTRO_INTERVALO_SEGUNDOS = enteroDeEntorno('SINIESTRO_INTERVALO_SEGUNDOS', 10, 0);
+const SINIESTRO_EVENTO_INTERVALO_SEGUNDOS = enteroDeEntorno(
+  'SINIESTRO_EVENTO_INTERVALO_SEGUNDOS',
+  60,
+  0
+);
+// Sin posiciones previas, el primer ciclo no pide mas atras que esto
+const SINIESTRO_VENTANA_INICIAL_HORAS = 24;
+// Bitacora compartida de los seguimientos iniciados antes de separar el
+// recorrido por siniestro; esos siniestros la siguen usando
+const BITACORA_RECORRIDO_SINIESTRO = 'siniestro-posiciones';
+const PREFIJO_BITACORA_RECORRIDO_SINIESTRO = 'siniestro-posiciones-';
+
+let SINIESTROS_SIGUIENDO = false;
+
+// Punto de recorrido a partir de una posicion de Traccar; tambien lo usa
+// GET /recorrido
+function puntoDePosicion(position) {
+  const attrs = position.attributes || {};
+  return {
+    positionId: position.id,
+    lat: position.latitude,
+    lon: position.longitude,
+    velocidad_kmh: typeof position.speed === 'number' ? knotsToKmh(position.speed) : null,
+    rumbo: typeof position.course === 'number' ? position.course : null,
+    altitud_m: typeof position.altitude === 'number' ? position.altitude : null,
+    precision_m: typeof position.accuracy === 'number' ? position.accuracy : null,
+    ignicion: typeof attrs.ignition === 'boolean' ? attrs.ignition : null,
+    hora_utc: position.fixTime || null,
+    hora_servidor_utc: position.serverTime || null
+  };
+}
+
+function puntoRecorridoSiniestro(siniestro, position) {
+  return {
+    siniestroId: siniestro.siniestroId,
+    vehiculoId: siniestro.vehiculoId,
+    ...puntoDePosicion(position)
+  };
+}
+
+function bitacoraRecorridoDe(siniestro) {
+  const seguimiento = siniestro.seguimiento;
+  if (seguimiento && !seguimiento.bitacora) return BITACORA_RECORRIDO_SINIESTRO;
+  return PREFIJO_BITACORA_RECORRIDO_SINIESTRO + siniestro.siniestroId;
+}
+
+// Puntos del recorrido de un siniestro, en el orden en que se recibieron
+function* puntosRecorridoSiniestro(siniestro) {
+  for (const punto of ALMACEN.leerBitacora(bitacoraRecorridoDe(siniestro))) {
+    if (punto.siniestroId === siniestro.siniestroId) yield punto;
+  }
+}
+
+function enviarEventoSiniestroPosicion(siniestro, config, device) {
+  const seguimiento = siniestro.seguimiento;
+  const punto = seguimiento.ultimoPunto;
+  const zonaHoraria = zonaHorariaDe(config);
+
+  encolarEvento('SINIESTRO_POSICION', {
+    tipoEvento: 'SINIESTRO_POSICION',
+    vehiculoId: siniestro.vehiculoId,
+    contratoId: config.contratoId,
+    uniqueId: config.uniqueId || null,
+    siniestroId: siniestro.siniestroId,
+    causa: siniestro.causa,
+    hora_inicio_siniestro: siniestro.horaInicio,
+    lat: punto.lat,
+    lon: punto.lon,
+    velocidad_kmh: punto.velocidad_kmh,
+    rumbo: punto.rumbo,
+    ignicion: punto.ignicion,
+    hora_posicion_utc: punto.hora_utc,
+    hora_posicion_local: utcToLocal(punto.hora_utc, zonaHoraria),
+    zona_horaria: zonaHoraria,
+    google_maps_url: `https://www.google.com/maps/search/?api=1&query=${punto.lat},${punto.lon}`,
+    status_traccar: device.status || null,
+    estado_corte: estadoCorte(siniestro.vehiculoId),
+    posiciones_registradas: seguimiento.posiciones,
+    posiciones_desde_ultimo_evento: seguimiento.posicionesSinEvento
+  });
+
+  seguimiento.ultimoEventoEn = new Date().toISOString();
+  seguimiento.posicionesSinEvento = 0;
+}
+
+// Un ciclo de seguimiento para un siniestro abierto. Regresa true si hay que
+// persistir el registro: seguimiento nuevo, posiciones nuevas o evento
+// enviado (ultimaRevisionEn sola no justifica reescribir la coleccion).
+async function seguirSiniestro(siniestro, config) {
+  if (!config.uniqueId) return false;
+  const device = await getDeviceByUniqueId(config.uniqueId);
+  if (!device) return false;
+
+  const seguimientoNuevo = !siniestro.seguimiento;
+  if (seguimientoNuevo) {
+    siniestro.seguimiento = {
+      bitacora: PREFIJO_BITACORA_RECORRIDO_SINIESTRO + siniestro.siniestroId,
+      posiciones: 0,
+      posicionesSinEvento: 0,
+      ultimoPunto: null,
+      ultimoEventoEn: null,
+      ultimaRevisionEn: null
+    };
+  }
+  const seguimiento = siniestro.seguimiento;
+  const ahora = new Date();
+
+  const ultimaHora = seguimiento.ultimoPunto && seguimiento.ultimoPunto.hora_utc;
+  const desde = ultimaHora
+    ? new Date(Date.parse(ultimaHora) + 1)
+    : new Date(
+        Math.max(
+          Date.parse(siniestro.horaInicio) || 0,
+          ahora.getTime() - SINIESTRO_VENTANA_INICIAL_HORAS * 3600 * 1000
+        )
+      );
+
+  const resp = await traccarClient.get('/positions', {
+    params: { deviceId: device.id, from: desde.toISOString(), to: ahora.toISOString() }
+  });
+  const nuevas = (resp.data || [])
+    .filter((p) => p.fixTime && (!ultimaHora || p.fixTime > ultimaHora))
+    .sort((a, b) => Date.parse(a.fixTime) - Date.parse(b.fixTime));
+
+  for (const position of nuevas) {
+    const punto = puntoRecorridoSiniestro(siniestro, position);
+    ALMACEN.agregar(bitacoraRecorridoDe(siniestro), punto);
+    seguimiento.posiciones += 1;
+    seguimiento.posicionesSinEvento += 1;
+    seguimiento.ultimoPunto = punto;
+  }
+  seguimiento.ultimaRevisionEn = ahora.toISOString();
+
+  const eventoVencido =
+    !seguimiento.ultimoEventoEn ||
+    ahora.getTime() - Date.parse(seguimiento.ultimoEventoEn) >=
+      SINIESTRO_EVENTO_INTERVALO_SEGUNDOS * 1000;
+  const enviarEvento = !!seguimiento.ultimoPunto && eventoVencido;
+  if (enviarEvento) {
+    enviarEventoSiniestroPosicion(siniestro, config, device);
+  }
+
+  return seguimientoNuevo || nuevas.length > 0 || enviarEvento;
+}
+
+async function seguirSiniestrosAbiertos() {
+  if (SINIESTROS_SIGUIENDO) return;
+  SINIESTROS_SIGUIENDO = true;
+
+  let cambios = 0;
+  try {
+    const abiertos = Object.values(SINIESTROS).filter((s) => s.estado === 'abierto');
+    for (const siniestro of abiertos) {
+      const config = VEHICULOS[siniestro.vehiculoId];
+      if (!config || config.siniestroId !== siniestro.siniestroId) continue;
+      try {
+        if (await seguirSiniestro(siniestro, config)) cambios += 1;
+      } catch (err) {
+        console.error(
+          `Error en seguimiento del siniestro ${siniestro.siniestroId} (vehiculo ${siniestro.vehiculoId}):`,
+          err.message
+        );
+      }
+    }
+  } finally {
+    if (cambios > 0) guardarSiniestros();
+    SINIESTROS_SIGUIENDO = false;
+  }
+}
+
+// ---------------------------
+// Auditoria de operaciones
+// ---------------------------
+
+// Cada POST/PUT/DELETE queda en la bitacora 'auditoria' (solo agregar):
+// quien lo hizo, sobre que vehiculo/contrato, que campos cambiaron y con que
+// resultado. Antes de ejecutar el handler se copia el vehiculo y el contrato
+// afectados; al terminar la respuesta se comparan con su estado final.
+// Los handlers que modifican otras entidades (API keys) agregan sus cambios
+// en res.locals.cambiosAuditoria.
+const BITACORA_AUDITORIA = 'auditoria';
+const METODOS_AUDITADOS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const AUDITORIA_LIMITE_DEFAULT = 100;
+const AUDITORIA_LIMITE_MAX = 1000;
+
+// Segmentos de ruta que son acciones sobre la coleccion, no ids
+const ACCIONES_DE_COLECCION = new Set(['importar']);
+
+function idEnRuta(url, recurso) {
+  const m = url.match(new RegExp(`^/api/${recurso}/([^/?]+)`));
+  if (!m || ACCIONES_DE_COLECCION.has(m[1])) return null;
+  return decodeURIComponent(m[1]);
+}
+
+// Copia de los registros que la operacion puede modificar. En rutas de
+// contrato se incluyen todas sus unidades.
+function fotografiaAuditoria(vehiculoId, contratoId, incluirUnidades) {
+  const vehiculos = {};
+  if (vehiculoId && VEHICULOS[vehiculoId]) {
+    vehiculos[vehiculoId] = VEHICULOS[vehiculoId];
+  }
+  if (contratoId && incluirUnidades) {
+    for (const [id, config] of Object.entries(VEHICULOS)) {
+      if (config.contratoId === contratoId) vehiculos[id] = config;
+    }
+  }
+  return structuredClone({
+    vehiculos,
+    contrato: (contratoId && CONTRATOS[contratoId]) || null
+  });
+}
+
+function diferenciasCampos(entidad, id, antes, despues) {
+  const a = antes || {};
+  const d = despues || {};
+  const cambios = [];
+  for (const campo of new Set([...Object.keys(a), ...Object.keys(d)])) {
+    if (JSON.stringify(a[campo]) !== JSON.stringify(d[campo])) {
+      cambios.push({
+        entidad,
+        id,
+        campo,
+        antes: a[campo] === undefined ? null : a[campo],
+        despues: d[campo] === undefined ? null : d[campo]
+      });
+    }
+  }
+  return cambios;
+}
+
+function cambiosEntreFotografias(antes, despues) {
+  const cambios = [];
+  const ids = new Set([
+    ...Object.keys(antes.vehiculos),
+    ...Object.keys(despues.vehiculos)
+  ]);
+  for (const id of ids) {
+    cambios.push(
+      ...diferenciasCampos('vehiculo', id, antes.vehiculos[id], despues.vehiculos[id])
+    );
+  }
+  const contratoId =
+    (despues.contrato && despues.contrato.contratoId) ||
+    (antes.contrato && antes.contrato.contratoId) ||
+    null;
+  cambios.push(
+    ...diferenciasCampos('contrato', contratoId, antes.contrato, despues.contrato)
+  );
+  return cambios;
+}
+
+function registrarAuditoria(entrada) {
+  try {
+    ALMACEN.agregar(BITACORA_AUDITORIA, entrada);
+  } catch (err) {
+    console.error('Error escribiendo auditoria:', err.message, JSON.stringify(entrada));
+  }
+}
+
+app.use((req, res, next) => {
+  if (!METODOS_AUDITADOS.has(req.method)) return next();
+
+  const vehiculoIdRuta = idEnRuta(req.path, 'vehiculos');
+  const contratoIdRuta = idEnRuta(req.path, 'contratos');
+  const contratoIdInicial =
+    contratoIdRuta ||
+    (vehiculoIdRuta && VEHICULOS[vehiculoIdRuta]
+      ? VEHICULOS[vehiculoIdRuta].contratoId
+      : null);
+  const antes = fotografiaAuditoria(
+    vehiculoIdRuta,
+    contratoIdInicial,
+    !!contratoIdRuta
+  );
+
+  // Se conserva el cuerpo de la respuesta para tomar ids nuevos y errores
+  const enviarJson = res.json.bind(res);
+  res.json = (cuerpo) => {
+    res.locals.respuestaAuditoria = cuerpo;
+    return enviarJson(cuerpo);
+  };
+
+  res.on('finish', () => {
+    // Rutas inexistentes no son operaciones
+    if (!req.route) return;
+
+    const respuesta = res.locals.respuestaAuditoria || {};
+    const vehiculoId = vehiculoIdRuta || respuesta.vehiculoId || null;
+    const contratoId =
+      contratoIdInicial ||
+      respuesta.contratoId ||
+      (vehiculoId && VEHICULOS[vehiculoId] ? VEHICULOS[vehiculoId].contratoId : null);
+
+    const despues = fotografiaAuditoria(vehiculoId, contratoId, !!contratoIdRuta);
+    // Sin copia previa del contrato no se puede comparar (alta de vehiculo)
+    if (!contratoIdInicial) despues.contrato = null;
+
+    registrarAuditoria({
+      id: 'aud-' + crypto.randomUUID(),
+      fecha: new Date().toISOString(),
+      actor: req.actor || null,
+      ip: req.ip,
+      metodo: req.method,
+      ruta: req.originalUrl,
+      accion: `${req.method} ${req.route.path}`,
+      vehiculoId,
+      contratoId,
+      cambios: [
+        ...cambiosEntreFotografias(antes, despues),
+        ...(res.locals.cambiosAuditoria || [])
+      ],
+      resultado: res.statusCode < 400 ? 'exito' : 'error',
+      status: res.statusCode,
+      error: respuesta.error || null,
+      comandoId: respuesta.comandoId || null
+    });
+  });
+
+  next();
+});
+
+// ---------------------------
+// Endpoints
+// ---------------------------
+
+app.get('/api/health', (req, res) => {
+  res.json({ ok: true, mensaje: 'AMA Orquestador vivo' });
+});
+
+// Estadisticas del cache de devices de Traccar
+app.get('/api/admin/cache-devices', permitir('admin'), (req, res) => {
+  res.json(estadisticasCacheDevices());
+});
+
+// Forzar recarga del cache (por ejemplo, tras cambios hechos directo en Traccar)
+app.post('/api/admin/cache-devices/invalidar', permitir('admin'), (req, res) => {
+  invalidarCacheDevices();
+  res.json({
+    ok: true,
+    mensaje: 'Cache de devices invalidado. Se recargara en la siguiente consulta.'
+  });
+});
+
+// Metricas del motor de Zona Segura (duracion del ultimo ciclo, vehiculos, etc.)
+app.get('/api/admin/motor-zona-segura', permitir('admin'), (req, res) => {
+  res.json({
+    intervalo_segundos: ZONA_SEGURA_INTERVALO_MS / 1000,
+    ...MOTOR_ZONA_SEGURA
+  });
+});
+
+// Vehiculos cuyo estado de corte no coincide con lo reportado por Traccar
+app.get('/api/admin/estado-corte/discrepancias', permitir('admin'), (req, res) => {
+  const vehiculos = Object.entries(ESTADO_CORTE)
+    .filter(([, registro]) => registro.discrepancia)
+    .map(([vehiculoId, registro]) => ({ vehiculoId, ...registro }));
+
+  res.json({ total: vehiculos.length, vehiculos });
+});
+
+// Outbox de eventos: pendientes de entrega
+app.get('/api/admin/outbox/pendientes', permitir('admin'), (req, res) => {
+  res.json({
+    total: OUTBOX.pendientes.length,
+    eventos: OUTBOX.pendientes
+  });
+});
+
+// Outbox de eventos: fallidos (agotaron reintentos)
+app.get('/api/admin/outbox/fallidos', permitir('admin'), (req, res) => {
+  res.json({
+    total: OUTBOX.fallidos.length,
+    eventos: OUTBOX.fallidos
+  });
+});
+
+// Reintentar todos los eventos fallidos
+app.post('/api/admin/outbox/fallidos/reintentar', permitir('admin'), (req, res) => {
+  const ids = OUTBOX.fallidos.map((e) => e.id);
+  ids.forEach(reencolarFallido);
+  guardarOutbox();
+
+  procesarOutbox().catch((err) =>
+    console.error('Error procesando outbox:', err.message)
+  );
+
+  res.json({
+    ok: true,
+    reencolados: ids.length,
+    mensaje: 'Eventos fallidos regresados a pendientes.'
+  });
+});
+
+// Reintentar un evento fallido
+app.post('/api/admin/outbox/fallidos/:eventoId/reintentar', permitir('admin'), (req, res) => {
+  const entrada = reencolarFallido(req.params.eventoId);
+
+  if (!entrada) {
+    return res
+      .status(404)
+      .json({ error: 'Evento no encontrado en la lista de fallidos' });
+  }
+
+  guardarOutbox();
+
+  procesarOutbox().catch((err) =>
+    console.error('Error procesando outbox:', err.message)
+  );
+
+  return res.json({
+    ok: true,
+    evento: entrada,
+    mensaje: 'Evento regresado a pendientes.'
+  });
+});
+
+// Limites de uso configurados e IPs bloqueadas por autenticacion fallida
+app.get('/api/admin/limites', permitir('admin'), (req, res) => {
+  const ahora = Date.now();
+  const bloqueos = [];
+  for (const [ip, registro] of FALLOS_AUTH) {
+    const restante = bloqueoAuthRestante(ip, ahora);
+    if (restante > 0) {
+      bloqueos.push({
+        ip,
+        fallos: registro.fallos,
+        bloqueada_hasta: new Date(registro.bloqueadoHasta).toISOString(),
+        segundos_restantes: restante
+      });
+    }
+  }
+
+  res.json({
+    ventana_segundos: VENTANA_LIMITE_MS / 1000,
+    presupuestos: PRESUPUESTOS_LIMITE,
+    autenticacion: {
+      max_fallos: AUTH_MAX_FALLOS,
+      ventana_fallos_segundos: AUTH_VENTANA_FALLOS_SEGUNDOS,
+      bloqueo_segundos: AUTH_BLOQUEO_SEGUNDOS
+    },
+    confirmacion_corte: {
+      vigencia_segundos: CORTE_CONFIRMACION_SEGUNDOS,
+      max_intentos: CORTE_CONFIRMACION_MAX_INTENTOS,
+      codigos_por_minuto: CORTE_CONFIRMACION_CODIGOS_POR_MINUTO,
+      codigos_vigentes: DESAFIOS_CORTE.size
+    },
+    contadores_activos: CONTADORES_LIMITE.size,
+    ips_bloqueadas: bloqueos
+  });
+});
+
+// API keys: listado (sin hashes)
+app.get('/api/admin/api-keys', permitir('admin'), (req, res) => {
+  const keys = Object.values(API_KEYS).map(apiKeyPublica);
+  res.json({
+    total: keys.length,
+    scopes: SCOPES,
+    roles: ROLES_API_KEY,
+    keys
+  });
+});
+
+// API keys: alta. La key en claro solo viaja en esta respuesta.
+app.post('/api/admin/api-keys', permitir('admin'), (req, res) => {
+  const { nombre, rol, scopes, contratos } = req.body || {};
+
+  if (typeof nombre !== 'string' || !nombre.trim()) {
+    return res.status(400).json({ error: 'nombre es requerido.' });
+  }
+
+  const permisos = validarPermisosApiKey({ rol, scopes, contratos }, null);
+  if (permisos.error) {
+    return res.status(400).json({ error: permisos.error });
+  }
+
+  const valor = 'ama_' + crypto.randomBytes(24).toString('base64url');
+  const key = {
+    id: 'key-' + crypto.randomUUID(),
+    nombre: nombre.trim(),
+    prefijo: valor.slice(0, 8),
+    hash: hashApiKey(valor),
+    scopes: permisos.scopes,
+    contratos: permisos.contratos,
+    activa: true,
+    creadaEn: new Date().toISOString(),
+    creadaPor: req.actor ? req.actor.keyId : null,
+    revocadaEn: null,
+    ultimoUsoEn: null
+  };
+
+  API_KEYS[key.id] = key;
+  indexarApiKeys();
+  guardarApiKeys();
+  res.locals.cambiosAuditoria = diferenciasCampos(
+    'api-key',
+    key.id,
+    null,
+    apiKeyPublica(key)
+  );
+
+  return res.status(201).json({
+    ok: true,
+    apiKey: valor,
+    key: apiKeyPublica(key),
+    mensaje: 'API key creada. Guarda el valor; no se vuelve a mostrar.'
+  });
+});
+
+// API keys: cambiar nombre, permisos o contratos
+app.put('/api/admin/api-keys/:keyId', permitir('admin'), (req, res) => {
+  const key = API_KEYS[req.params.keyId];
+  if (!key) {
+    return res.status(404).json({ error: 'API key no encontrada' });
+  }
+
+  const { nombre, rol, scopes, contratos } = req.body || {};
+
+  if (nombre !== undefined && (typeof nombre !== 'string' || !nombre.trim())) {
+    return res.status(400).json({ error: 'nombre no puede estar vacio.' });
+  }
+
+  const permisos = validarPermisosApiKey({ rol, scopes, contratos }, key);
+  if (permisos.error) {
+    return res.status(400).json({ error: permisos.error });
+  }
+
+  const antes = apiKeyPublica(key);
+  if (nombre !== undefined) key.nombre = nombre.trim();
+  key.scopes = permisos.scopes;
+  key.contratos = permisos.contratos;
+  key.actualizadaEn = new Date().toISOString();
+  guardarApiKeys();
+  res.locals.cambiosAuditoria = diferenciasCampos(
+    'api-key',
+    key.id,
+    antes,
+    apiKeyPublica(key)
+  );
+
+  return res.json({ ok: true, key: apiKeyPublica(key) });
+});
+
+// API keys: revocacion (efectiva de inmediato, sin reiniciar)
+app.post('/api/admin/api-keys/:keyId/revocar', permitir('admin'), (req, res) => {
+  const key = API_KEYS[req.params.keyId];
+  if (!key) {
+    return res.status(404).json({ error: 'API key no encontrada' });
+  }
+
+  if (key.activa) {
+    const antes = apiKeyPublica(key);
+    key.activa = false;
+    key.revocadaEn = new Date().toISOString();
+    guardarApiKeys();
+    res.locals.cambiosAuditoria = diferenciasCampos(
+      'api-key',
+      key.id,
+      antes,
+      apiKeyPublica(key)
+    );
+  }
+
+  return res.json({
+    ok: true,
+    key: apiKeyPublica(key),
+    mensaje: 'API key revocada.'
+  });
+});
+
+// Consulta de la bitacora de auditoria, mas recientes primero.
+// Filtros: vehiculoId, contratoId, accion (texto contenido en
+// "<METODO> <ruta>", ej. "corte" o "DELETE"), desde / hasta (ISO) y limite.
+app.get('/api/auditoria', permitir('admin'), (req, res) => {
+  const { vehiculoId, contratoId, accion, desde, hasta } = req.query;
+
+  const desdeMs = desde ? Date.parse(desde) : null;
+  const hastaMs = hasta ? Date.parse(hasta) : null;
+  if (Number.isNaN(desdeMs) || Number.isNaN(hastaMs)) {
+    return res
+      .status(400)
+      .json({ error: 'desde y hasta deben ser fechas ISO 8601 validas.' });
+  }
+
+  const limite = Math.min(
+    AUDITORIA_LIMITE_MAX,
+    Math.max(1, parseInt(req.query.limite, 10) || AUDITORIA_LIMITE_DEFAULT)
+  );
+  const textoAccion = accion ? String(accion).toLowerCase() : null;
+
+  let total = 0;
+  const entradas = [];
+
+  // Se lee de la mas reciente a la mas antigua. La bitacora se escribe en
+  // orden cronologico: al pasar 'desde' ya no puede haber coincidencias.
+  for (const entrada of ALMACEN.leerBitacora(BITACORA_AUDITORIA, { desdeElFinal: true })) {
+    const fechaMs = Date.parse(entrada.fecha);
+    if (desdeMs != null && fechaMs < desdeMs) break;
+    if (hastaMs != null && fechaMs > hastaMs) continue;
+    if (vehiculoId && entrada.vehiculoId !== vehiculoId) continue;
+    if (contratoId && entrada.contratoId !== contratoId) continue;
+    if (textoAccion && !entrada.accion.toLowerCase().includes(textoAccion)) {
+      continue;
+    }
+
+    total += 1;
+    if (entradas.length < limite) entradas.push(entrada);
+  }
+
+  return res.json({
+    total,
+    limite,
+    entradas
+  });
+});
+
+// ---------------------------
+// 1) Alta de vehiculo
+// ---------------------------
+
+// Validaciones del alta (individual y por importacion).
+// Regresa { status, error } o null si los datos son validos.
+function validarAltaVehiculo(datos, uniqueIdsReservados = new Set()) {
+  const {
+    contratoId,
+    tipoCliente,
+    nombreTitular,
+    uniqueId,
+    zonaHoraria
+  } = datos || {};
+
+  if (!contratoId || !tipoCliente || !nombreTitular || !uniqueId) {
+    return {
+      status: 400,
+      error:
+        'Faltan campos. Se requiere contratoId, tipoCliente, nombreTitular y uniqueId.'
+    };
+  }
+
+  if (!['individual', 'empresa'].includes(tipoCliente)) {
+    return {
+      status: 400,
+      error: 'tipoCliente debe ser "individual" o "empresa".'
+    };
+  }
+
+  if (zonaHoraria != null && !esZonaHorariaValida(zonaHoraria)) {
+    return {
+      status: 400,
+      error:
+        'zonaHoraria debe ser un nombre IANA valido (ej. "America/Tijuana").'
+    };
+  }
+
+  const existenteConUniqueId = Object.entries(VEHICULOS).find(
+    ([, v]) => v.uniqueId === uniqueId
+  );
+  if (existenteConUniqueId) {
+    return {
+      status: 409,
+      error:
+        'Ese uniqueId ya esta asignado a otro vehiculo (' +
+        existenteConUniqueId[0] +
+        ').'
+    };
+  }
+  if (uniqueIdsReservados.has(uniqueId)) {
+    return {
+      status: 409,
+      error: 'Ese uniqueId aparece repetido en la importacion.'
+    };
+  }
+
+  return null;
+}
+
+// Id y numero de la siguiente unidad del contrato. unidadesExtra son
+// numeros ya asignados que aun no estan en VEHICULOS (simulacion de una
+// importacion).
+function siguienteUnidadContrato(contratoId, tipoCliente, unidadesExtra = []) {
+  const numeros = [
+    ...Object.values(VEHICULOS)
+      .filter((v) => v.contratoId === contratoId)
+      .map((v) => v.numeroUnidad),
+    ...unidadesExtra
+  ];
+
+  if (numeros.length === 0) {
+    return {
+      vehiculoId: tipoCliente === 'individual' ? contratoId : contratoId + '-001',
+      numeroUnidad: 1
+    };
+  }
+
+  const maxNum = numeros.reduce(
+    (max, n) => (typeof n === 'number' && n > max ? n : max),
+    1
+  );
+  const numeroUnidad = maxNum + 1;
+  const sufijo = String(numeroUnidad).padStart(3, '0');
+  return { vehiculoId: contratoId + '-' + sufijo, numeroUnidad };
+}
+
+// Registra el device en Traccar y despues el vehiculo en el Orquestador.
+// Los datos ya deben estar validados con validarAltaVehiculo.
+async function registrarVehiculo(datos) {
+  const {
+    contratoId,
+    tipoCliente,
+    nombreTitular,
+    uniqueId,
+    aliasUnidad,
+    zonaHoraria
+  } = datos;
+
+  const { vehiculoId, numeroUnidad } = siguienteUnidadContrato(
+    contratoId,
+    tipoCliente
+  );
+
+  if (VEHICULOS[vehiculoId]) {
+    const err = new Error('Ya existe un vehiculo con id ' + vehiculoId);
+    err.status = 409;
+    throw err;
+  }
+
+  const nombreDevice = nombreDeviceTraccar({
+    contratoId,
+    aliasUnidad,
+    numeroUnidad,
+    nombreTitular
+  });
+
+  const device = await crearOActualizarDeviceEnTraccar(uniqueId, nombreDevice);
+
+  const ahora = new Date().toISOString();
+
+  VEHICULOS[vehiculoId] = {
+    contratoId,
+    tipoCliente,
+    numeroUnidad,
+    nombreTitular,
+    aliasUnidad: aliasUnidad || `Unidad ${numeroUnidad}`,
+    uniqueId,
+    activo: true,
+    motivoInactivacion: null,
+    zonaHoraria: zonaHoraria || null,
+    fechaAlta: ahora,
+    fechaInactivacion: null,
+    fechaReactivacion: null,
+    fechaCambioUniqueId: null,
+    fechaLiberacionUniqueId: null,
+    zonasSeguras: [],
+    modoSiniestro: false,
+    siniestroId: null
+  };
+
+  setEstadoCorte(vehiculoId, 'normal');
+  reiniciarEstadoZona(vehiculoId);
+
+  guardarVehiculos();
+  if (completarContratoDesdeVehiculo(VEHICULOS[vehiculoId])) {
+    guardarContratos();
+  }
+
+  return { vehiculoId, config: VEHICULOS[vehiculoId], device };
+}
+
+app.post('/api/vehiculos', permitir('gestion_vehiculos'), limitar('traccar'), async (req, res) => {
+  try {
+    const invalido = validarAltaVehiculo(req.body);
+    if (invalido) {
+      return res.status(invalido.status).json({ error: invalido.error });
+    }
+
+    const { vehiculoId, config, device } = await registrarVehiculo(req.body);
+
+    return res.json({
+      ok: true,
+      vehiculoId,
+      contratoId: config.contratoId,
+      tipoCliente: config.tipoCliente,
+      numeroUnidad: config.numeroUnidad,
+      nombreTitular: config.nombreTitular,
+      aliasUnidad: config.aliasUnidad,
+      uniqueId: config.uniqueId,
+      activo: true,
+      traccarDeviceId: device.id,
+      mensaje: 'Vehiculo registrado en el Orquestador y en Traccar.'
+    });
+  } catch (err) {
+    if (err.status === 409) {
+      return res.status(409).json({ error: err.message });
+    }
+    console.error('Error en POST /api/vehiculos:', err.message);
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'No se pudo registrar el vehiculo',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// ---------------------------
+// 1a) Importacion masiva de vehiculos
+// ---------------------------
+
+const IMPORTACION_MAX_FILAS = 500;
+const IMPORTACION_COLUMNAS = [
+  'contratoId',
+  'tipoCliente',
+  'nombreTitular',
+  'uniqueId',
+  'aliasUnidad',
+  'zonaHoraria'
+];
+
+// CSV (RFC 4180): separador coma, campos entre comillas con "" como escape,
+// saltos de linea \n o \r\n. Regresa un arreglo de renglones (arreglos de
+// strings) sin los renglones vacios.
+function parsearCsv(texto) {
+  const renglones = [];
+  let renglon = [];
+  let campo = '';
+  let entreComillas = false;
+  const t = texto.charCodeAt(0) === 0xfeff ? texto.slice(1) : texto;
+
+  for (let i = 0; i < t.length; i += 1) {
+    const c = t[i];
+    if (entreComillas) {
+      if (c === '"' && t[i + 1] === '"') {
+        campo += '"';
+        i += 1;
+      } else if (c === '"') {
+        entreComillas = false;
+      } else {
+        campo += c;
+      }
+    } else if (c === '"') {
+      entreComillas = true;
+    } else if (c === ',') {
+      renglon.push(campo);
+      campo = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && t[i + 1] === '\n') i += 1;
+      renglon.push(campo);
+      renglones.push(renglon);
+      renglon = [];
+      campo = '';
+    } else {
+      campo += c;
+    }
+  }
+  if (entreComillas) {
+    throw new Error('Comillas sin cerrar en el CSV.');
+  }
+  renglon.push(campo);
+  renglones.push(renglon);
+
+  return renglones.filter((r) => r.some((v) => v.trim() !== ''));
+}
+
+// Convierte el cuerpo (texto CSV, arreglo JSON o { vehiculos: [...] }) en
+// una lista de objetos con los campos del alta. Regresa { filas } o { error }.
+function filasDeImportacion(cuerpo) {
+  if (typeof cuerpo === 'string') {
+    let renglones;
+    try {
+      renglones = parsearCsv(cuerpo);
+    } catch (err) {
+      return { error: err.message };
+    }
+    if (renglones.length === 0) {
+      return { error: 'El CSV esta vacio.' };
+    }
+
+    const encabezado = renglones[0].map((c) => c.trim());
+    const faltantes = ['contratoId', 'tipoCliente', 'nombreTitular', 'uniqueId'].filter(
+      (c) => !encabezado.includes(c)
+    );
+    if (faltantes.length > 0) {
+      return {
+        error: `Faltan columnas en el encabezado del CSV: ${faltantes.join(', ')}.`
+      };
+    }
+
+    const filas = renglones.slice(1).map((valores) => {
+      const fila = {};
+      encabezado.forEach((columna, i) => {
+        if (!IMPORTACION_COLUMNAS.includes(columna)) return;
+        const valor = (valores[i] || '').trim();
+        if (valor !== '') fila[columna] = valor;
+      });
+      return fila;
+    });
+    return { filas };
+  }
+
+  const lista = Array.isArray(cuerpo) ? cuerpo : cuerpo && cuerpo.vehiculos;
+  if (!Array.isArray(lista)) {
+    return {
+      error:
+        'Envia un CSV (Content-Type: text/csv) o un JSON con un arreglo de vehiculos.'
+    };
+  }
+
+  const filas = lista.map((item) => {
+    const fila = {};
+    if (!item || typeof item !== 'object') return fila;
+    for (const columna of IMPORTACION_COLUMNAS) {
+      const valor = typeof item[columna] === 'string' ? item[columna].trim() : item[columna];
+      if (valor != null && valor !== '') fila[columna] = valor;
+    }
+    return fila;
+  });
+  return { filas };
+}
+
+// Valida todas las filas y simula la numeracion de unidades como si se
+// registraran en orden. Regresa un resultado por fila.
+function planearImportacion(filas, apiKey) {
+  const uniqueIdsReservados = new Set();
+  const unidadesPorContrato = {};
+  const idsPlaneados = new Set();
+
+  return filas.map((datos, i) => {
+    const resultado = {
+      fila: i + 1,
+      contratoId: datos.contratoId || null,
+      uniqueId: datos.uniqueId || null
+    };
+
+    let invalido = validarAltaVehiculo(datos, uniqueIdsReservados);
+    if (!invalido && !keyPermiteContrato(apiKey, datos.contratoId)) {
+      invalido = { status: 403, error: 'La API key no tiene acceso a este contrato.' };
+    }
+
+    let plan = null;
+    if (!invalido) {
+      const extras = unidadesPorContrato[datos.contratoId] || [];
+      plan = siguienteUnidadContrato(datos.contratoId, datos.tipoCliente, extras);
+      if (VEHICULOS[plan.vehiculoId] || idsPlaneados.has(plan.vehiculoId)) {
+        invalido = {
+          status: 409,
+          error: 'Ya existe un vehiculo con id ' + plan.vehiculoId
+        };
+      }
+    }
+
+    if (invalido) {
+      return { ...resultado, ok: false, status: invalido.status, error: invalido.error };
+    }
+
+    uniqueIdsReservados.add(datos.uniqueId);
+    idsPlaneados.add(plan.vehiculoId);
+    unidadesPorContrato[datos.contratoId] = [
+      ...(unidadesPorContrato[datos.contratoId] || []),
+      plan.numeroUnidad
+    ];
+    return { ...resultado, ok: true, vehiculoId: plan.vehiculoId, numeroUnidad: plan.numeroUnidad };
+  });
+}
+
+// Alta de varias unidades a partir de un CSV o un arreglo JSON con los mismos
+// campos que POST /api/vehiculos.
+//   ?dryRun=true  solo valida y reporta el vehiculoId que tendria cada fila.
+//   ?parcial=true registra las filas validas aunque otras tengan errores
+//                 (por omision, si alguna fila es invalida no se registra nada).
+// Cada fila a registrar cobra una unidad del presupuesto 'traccar' (alta del
+// device); una importacion mayor al presupuesto restante recibe 429.
+app.post(
+  '/api/vehiculos/importar',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  permitir('gestion_vehiculos'),
+  async (req, res) => {
+    const opciones =
+      req.body && typeof req.body === 'object' && !Array.isArray(req.body)
+        ? req.body
+        : {};
+    const dryRun =
+      parametroBooleano(req.query.dryRun) === true || opciones.dryRun === true;
+    const parcial =
+      parametroBooleano(req.query.parcial) === true || opciones.parcial === true;
+
+    const { filas, error } = filasDeImportacion(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (filas.length === 0) {
+      return res.status(400).json({ error: 'La importacion no tiene filas.' });
+    }
+    if (filas.length > IMPORTACION_MAX_FILAS) {
+      return res.status(400).json({
+        error: `La importacion admite maximo ${IMPORTACION_MAX_FILAS} filas (se recibieron ${filas.length}).`
+      });
+    }
+
+    const plan = planearImportacion(filas, req.apiKey);
+    const invalidas = plan.filter((r) => !r.ok).length;
+
+    if (dryRun) {
+      return res.json({
+        ok: invalidas === 0,
+        dryRun: true,
+        total: plan.length,
+        validas: plan.length - invalidas,
+        invalidas,
+        filas: plan
+      });
+    }
+
+    if (invalidas > 0 && !parcial) {
+      return res.status(400).json({
+        error:
+          'La importacion tiene filas invalidas; no se registro ninguna unidad. Corrige las filas o usa parcial=true.',
+        total: plan.length,
+        validas: plan.length - invalidas,
+        invalidas,
+        filas: plan
+      });
+    }
+
+    const { porKey, porIp } = PRESUPUESTOS_LIMITE.traccar;
+    const maximoPorMinuto = Math.min(...[porKey, porIp].filter((l) => l > 0));
+    if (plan.length - invalidas > maximoPorMinuto) {
+      return res.status(400).json({
+        error: `La importacion requiere ${plan.length - invalidas} altas en Traccar y el limite es de ${maximoPorMinuto} por minuto; dividela en partes.`
+      });
+    }
+    if (!aplicarPresupuesto('traccar', req, res, plan.length - invalidas)) return;
+
+    // Registro secuencial: el id se recalcula con VEHICULOS al momento de
+    // registrar, asi una fila fallida no deja huecos en la numeracion.
+    const resultados = [];
+    const cambios = [];
+    for (const planFila of plan) {
+      if (!planFila.ok) {
+        resultados.push({ ...planFila, registrado: false });
+        continue;
+      }
+
+      const datos = filas[planFila.fila - 1];
+      const base = {
+        fila: planFila.fila,
+        contratoId: planFila.contratoId,
+        uniqueId: planFila.uniqueId
+      };
+
+      // Revalidar: otra solicitud pudo tomar el uniqueId mientras tanto
+      const invalido = validarAltaVehiculo(datos);
+      if (invalido) {
+        resultados.push({
+          ...base,
+          ok: false,
+          registrado: false,
+          status: invalido.status,
+          error: invalido.error
+        });
+        continue;
+      }
+
+      const contratoAntes = CONTRATOS[datos.contratoId]
+        ? structuredClone(CONTRATOS[datos.contratoId])
+        : null;
+      try {
+        const { vehiculoId, config, device } = await registrarVehiculo(datos);
+        resultados.push({
+          ...base,
+          ok: true,
+          registrado: true,
+          vehiculoId,
+          numeroUnidad: config.numeroUnidad,
+          traccarDeviceId: device.id
+        });
+        cambios.push(
+          ...diferenciasCampos('vehiculo', vehiculoId, null, config),
+          ...diferenciasCampos(
+            'contrato',
+            datos.contratoId,
+            contratoAntes,
+            CONTRATOS[datos.contratoId]
+          )
+        );
+      } catch (err) {
+        console.error(
+          `Error importando fila ${planFila.fila} (${datos.uniqueId}):`,
+          err.message
+        );
+        resultados.push({
+          ...base,
+          ok: false,
+          registrado: false,
+          status: err.status || 502,
+          error: err.status ? err.message : 'No se pudo registrar el vehiculo',
+          detalle: err.response ? `${err.response.status}` : undefined
+        });
+      }
+    }
+
+    res.locals.cambiosAuditoria = cambios;
+
+    const registradas = resultados.filter((r) => r.registrado).length;
+    return res.json({
+      ok: registradas === resultados.length,
+      dryRun: false,
+      total: resultados.length,
+      registradas,
+      fallidas: resultados.length - registradas,
+      filas: resultados
+    });
+  }
+);
+
+// ---------------------------
+// 1b) Listado y busqueda de vehiculos
+// ---------------------------
+
+const LISTADO_POR_PAGINA_DEFAULT = 50;
+const LISTADO_POR_PAGINA_MAX = 500;
+const LISTADO_CAMPOS_ORDEN = [
+  'vehiculoId',
+  'contratoId',
+  'numeroUnidad',
+  'nombreTitular',
+  'aliasUnidad',
+  'fechaAlta'
+];
+
+// Minusculas y sin acentos para la busqueda de texto
+function normalizarTexto(texto) {
+  return String(texto || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+// 'true' / 'false' -> boolean; ausente -> undefined; otro valor -> null
+function parametroBooleano(valor) {
+  if (valor === undefined) return undefined;
+  if (valor === 'true') return true;
+  if (valor === 'false') return false;
+  return null;
+}
+
+// Agrega a cada resumen de vehiculo el estado del device en Traccar usando
+// el cache de devices. Regresa el detalle del error de Traccar o null.
+async function agregarEstadoTraccar(vehiculos) {
+  try {
+    await asegurarCacheDevices();
+    for (const vehiculo of vehiculos) {
+      const device = vehiculo.uniqueId
+        ? await getDeviceByUniqueId(vehiculo.uniqueId)
+        : null;
+      vehiculo.traccar = device
+        ? {
+            deviceId: device.id,
+            status: device.status || null,
+            lastUpdate: device.lastUpdate || null
+          }
+        : null;
+    }
+    return null;
+  } catch (err) {
+    console.error('Error consultando estado de devices en Traccar:', err.message);
+    return err.response ? `${err.response.status}` : err.message;
+  }
+}
+
+function resumenVehiculo(vehiculoId, config) {
+  return {
+    vehiculoId,
+    contratoId: config.contratoId,
+    tipoCliente: config.tipoCliente,
+    numeroUnidad: config.numeroUnidad,
+    nombreTitular: config.nombreTitular,
+    aliasUnidad: config.aliasUnidad || null,
+    uniqueId: config.uniqueId || null,
+    activo: config.activo !== false,
+    motivoInactivacion: config.motivoInactivacion || null,
+    modoSiniestro: config.modoSiniestro === true,
+    zonas_seguras_activas: zonasSegurasDe(config).filter(
+      (z) => z.activo === true
+    ).length,
+    zona_horaria: zonaHorariaDe(config),
+    estado_corte: estadoCorte(vehiculoId),
+    fechaAlta: config.fechaAlta || null
+  };
+}
+
+// Filtros: contratoId, tipoCliente, activo, motivoInactivacion,
+// modoSiniestro, zonaActiva (true/false), uniqueId y q (texto en titular o
+// alias). Orden: orden=<campo> o orden=-<campo> (descendente).
+// Se comparten entre el listado y la exportacion. Regresa
+// { encontrados: [[vehiculoId, config], ...], orden } o { error }.
+function filtrarVehiculos(query, apiKey) {
+  // ?orden=a&orden=b llega como arreglo y ?q[x]=1 como objeto
+  const repetidos = [
+    'contratoId',
+    'tipoCliente',
+    'motivoInactivacion',
+    'uniqueId',
+    'q',
+    'orden'
+  ].filter((campo) => query[campo] !== undefined && typeof query[campo] !== 'string');
+  if (repetidos.length > 0) {
+    return { error: `${repetidos.join(', ')} debe ser un solo valor de texto.` };
+  }
+
+  const {
+    contratoId,
+    tipoCliente,
+    motivoInactivacion,
+    uniqueId,
+    q,
+    orden = 'vehiculoId'
+  } = query;
+
+  const activo = parametroBooleano(query.activo);
+  const modoSiniestro = parametroBooleano(query.modoSiniestro);
+  const zonaActiva = parametroBooleano(query.zonaActiva);
+  if ([activo, modoSiniestro, zonaActiva].includes(null)) {
+    return {
+      error: 'activo, modoSiniestro y zonaActiva deben ser "true" o "false".'
+    };
+  }
+
+  const descendente = orden.startsWith('-');
+  const campoOrden = descendente ? orden.slice(1) : orden;
+  if (!LISTADO_CAMPOS_ORDEN.includes(campoOrden)) {
+    return {
+      error: `orden debe ser uno de: ${LISTADO_CAMPOS_ORDEN.join(', ')} (prefijo "-" para descendente).`
+    };
+  }
+
+  const texto = q ? normalizarTexto(q) : null;
+
+  const encontrados = Object.entries(VEHICULOS).filter(([, config]) => {
+    if (!keyPermiteContrato(apiKey, config.contratoId)) return false;
+    if (contratoId && config.contratoId !== contratoId) return false;
+    if (tipoCliente && config.tipoCliente !== tipoCliente) return false;
+    if (uniqueId && config.uniqueId !== uniqueId) return false;
+    if (activo !== undefined && (config.activo !== false) !== activo) return false;
+    if (motivoInactivacion && config.motivoInactivacion !== motivoInactivacion) {
+      return false;
+    }
+    if (
+      modoSiniestro !== undefined &&
+      (config.modoSiniestro === true) !== modoSiniestro
+    ) {
+      return false;
+    }
+    if (
+      zonaActiva !== undefined &&
+      zonasSegurasDe(config).some((z) => z.activo === true) !== zonaActiva
+    ) {
+      return false;
+    }
+    if (
+      texto &&
+      !normalizarTexto(config.nombreTitular).includes(texto) &&
+      !normalizarTexto(config.aliasUnidad).includes(texto)
+    ) {
+      return false;
+    }
+    return true;
+  });
+
+  const valorOrden = ([vehiculoId, config]) =>
+    campoOrden === 'vehiculoId' ? vehiculoId : config[campoOrden];
+  encontrados.sort((a, b) => {
+    const va = valorOrden(a);
+    const vb = valorOrden(b);
+    let cmp;
+    if (va == null || vb == null) {
+      cmp = va == null ? (vb == null ? 0 : 1) : -1;
+    } else if (typeof va === 'number' && typeof vb === 'number') {
+      cmp = va - vb;
+    } else {
+      cmp = String(va).localeCompare(String(vb), 'es', { numeric: true });
+    }
+    return descendente ? -cmp : cmp;
+  });
+
+  return { encontrados, orden };
+}
+
+// Paginacion: pagina (desde 1) y porPagina.
+// traccar=true agrega estado online y ultima actualizacion de Traccar
+// usando el cache de devices (una sola descarga de /devices).
+app.get('/api/vehiculos', permitir('lectura'), async (req, res) => {
+  const conTraccar = parametroBooleano(req.query.traccar);
+  if (conTraccar === null) {
+    return res.status(400).json({ error: 'traccar debe ser "true" o "false".' });
+  }
+
+  const { encontrados, orden, error } = filtrarVehiculos(req.query, req.apiKey);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const pagina = req.query.pagina === undefined ? 1 : parseInt(req.query.pagina, 10);
+  const porPagina =
+    req.query.porPagina === undefined
+      ? LISTADO_POR_PAGINA_DEFAULT
+      : parseInt(req.query.porPagina, 10);
+  if (
+    !Number.isInteger(pagina) ||
+    pagina < 1 ||
+    !Number.isInteger(porPagina) ||
+    porPagina < 1 ||
+    porPagina > LISTADO_POR_PAGINA_MAX
+  ) {
+    return res.status(400).json({
+      error: `pagina debe ser >= 1 y porPagina entre 1 y ${LISTADO_POR_PAGINA_MAX}.`
+    });
+  }
+
+  const total = encontrados.length;
+  const vehiculos = encontrados
+    .slice((pagina - 1) * porPagina, pagina * porPagina)
+    .map(([vehiculoId, config]) => resumenVehiculo(vehiculoId, config));
+
+  let errorTraccar = null;
+  if (conTraccar && vehiculos.length > 0) {
+    if (!aplicarPresupuesto('traccar', req, res)) return;
+    errorTraccar = await agregarEstadoTraccar(vehiculos);
+  }
+
+  return res.json({
+    total,
+    pagina,
+    porPagina,
+    paginas: Math.ceil(total / porPagina),
+    orden,
+    vehiculos,
+    ...(errorTraccar ? { error_traccar: errorTraccar } : {})
+  });
+});
+
+// ---------------------------
+// 1c) Exportacion de la flotilla
+// ---------------------------
+
+const FORMATOS_EXPORTACION = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  geojson: { contentType: 'application/geo+json; charset=utf-8', extension: 'geojson' }
+};
+
+const COLUMNAS_EXPORTACION_CSV = [
+  'vehiculoId',
+  'contratoId',
+  'tipoCliente',
+  'numeroUnidad',
+  'nombreTitular',
+  'aliasUnidad',
+  'uniqueId',
+  'contrato_activo',
+  'titular_email',
+  'titular_telefono',
+  'titular_rfc',
+  'activo',
+  'motivoInactivacion',
+  'fechaAlta',
+  'fechaInactivacion',
+  'modoSiniestro',
+  'estado_corte',
+  'estado_corte_desde',
+  'zona_horaria',
+  'traccar_device_id',
+  'traccar_status',
+  'traccar_ultima_actualizacion',
+  'zonas_seguras_total',
+  'zonas_seguras_activas',
+  'zonas_seguras'
+];
+
+// Datos de un vehiculo para exportar (contrato, estado, device y zonas)
+function filaExportacion(vehiculoId, config, device) {
+  const contrato = CONTRATOS[config.contratoId] || null;
+  const titular = (contrato && contrato.titular) || {};
+  const zonas = zonasSegurasDe(config);
+  const { estado_corte, estado_corte_desde } = resumenEstadoCorte(vehiculoId);
+
+  return {
+    vehiculoId,
+    contratoId: config.contratoId,
+    tipoCliente: config.tipoCliente,
+    numeroUnidad: config.numeroUnidad,
+    nombreTitular: config.nombreTitular,
+    aliasUnidad: config.aliasUnidad || null,
+    uniqueId: config.uniqueId || null,
+    contrato_activo: contrato ? contrato.activo !== false : null,
+    titular_email: titular.email || null,
+    titular_telefono: titular.telefono || null,
+    titular_rfc: titular.rfc || null,
+    activo: config.activo !== false,
+    motivoInactivacion: config.motivoInactivacion || null,
+    fechaAlta: config.fechaAlta || null,
+    fechaInactivacion: config.fechaInactivacion || null,
+    modoSiniestro: config.modoSiniestro === true,
+    estado_corte,
+    estado_corte_desde,
+    zona_horaria: zonaHorariaDe(config),
+    traccar_device_id: device ? device.id : null,
+    traccar_status: device ? device.status || null : null,
+    traccar_ultima_actualizacion: device ? device.lastUpdate || null : null,
+    zonas_seguras_total: zonas.length,
+    zonas_seguras_activas: zonas.filter((z) => z.activo === true).length,
+    zonas_seguras: zonas.map((z) => ({
+      id: z.id,
+      nombre: z.nombre || null,
+      ...resumenGeometriaZona(z),
+      activo: z.activo === true,
+      estado_motor: estadoZona(vehiculoId, z.id)
+    }))
+  };
+}
+
+// Un valor por celda. Los textos que empiezan con = + - @ se prefijan con '
+// para que la hoja de calculo no los interprete como formula.
+function celdaCsv(valor) {
+  if (valor === null || valor === undefined) return '';
+  let texto = String(valor);
+  if (typeof valor === 'string' && /^[=+\-@]/.test(texto)) texto = "'" + texto;
+  return /[",\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+}
+
+function renglonCsv(fila) {
+  return (
+    COLUMNAS_EXPORTACION_CSV.map((columna) => {
+      if (columna !== 'zonas_seguras') return celdaCsv(fila[columna]);
+      return celdaCsv(
+        fila.zonas_seguras
+          .map((z) => `${z.nombre || z.id} (${z.tipo_zona}${z.activo ? '' : ', inactiva'})`)
+          .join(' | ')
+      );
+    }).join(',') + '\r\n'
+  );
+}
+
+// Un vehiculo inactivo (p. ej. por impago) se exporta sin posicion, igual
+// que /ubicacion y /recorrido se niegan a darla
+function featuresGeoJsonVehiculo(fila, config, posicionActual) {
+  const position = config.activo === false ? null : posicionActual;
+  const features = [
+    {
+      type: 'Feature',
+      geometry:
+        position && esCoordenadaValida({ lat: position.latitude, lon: position.longitude })
+          ? { type: 'Point', coordinates: [position.longitude, position.latitude] }
+          : null,
+      properties: {
+        tipo: 'vehiculo',
+        vehiculoId: fila.vehiculoId,
+        contratoId: fila.contratoId,
+        nombreTitular: fila.nombreTitular,
+        aliasUnidad: fila.aliasUnidad,
+        uniqueId: fila.uniqueId,
+        activo: fila.activo,
+        modoSiniestro: fila.modoSiniestro,
+        estado_corte: fila.estado_corte,
+        traccar_status: fila.traccar_status,
+        velocidad_kmh: position ? knotsToKmh(position.speed || 0) : null,
+        hora_posicion: position ? position.fixTime || null : null,
+        hora_posicion_local: position
+          ? utcToLocal(position.fixTime, fila.zona_horaria)
+          : null
+      }
+    }
+  ];
+
+  for (const zona of zonasSegurasDe(config)) {
+    const geometria = geometriaGeoJsonZona(zona);
+    if (!geometria) continue;
+    features.push({
+      type: 'Feature',
+      geometry: geometria,
+      properties: {
+        tipo: 'zona_segura',
+        vehiculoId: fila.vehiculoId,
+        contratoId: fila.contratoId,
+        zonaId: zona.id,
+        nombre: zona.nombre || null,
+        ...resumenGeometriaZona(zona),
+        centro: zona.centro || null,
+        activo: zona.activo === true,
+        estado_motor: estadoZona(fila.vehiculoId, zona.id)
+      }
+    });
+  }
+
+  return features;
+}
+
+// res.write respetando la contrapresion del socket. Regresa false si el
+// cliente ya cerro la conexion.
+async function escribirExportacion(res, trozo) {
+  if (res.destroyed) return false;
+  if (!res.write(trozo)) {
+    await new Promise((resolve) => {
+      const listo = () => {
+        res.off('drain', listo);
+        res.off('close', listo);
+        resolve();
+      };
+      res.on('drain', listo);
+      res.on('close', listo);
+    });
+  }
+  return !res.destroyed;
+}
+
+// formato=csv | json | geojson (default json). Acepta los mismos filtros y
+// orden que GET /api/vehiculos, sin paginacion: la respuesta se envia por
+// partes para no armar exportaciones grandes en memoria.
+// Los datos del device salen del cache de devices; geojson ademas pide las
+// ultimas posiciones (una sola llamada a /positions). traccar=false omite
+// ambas consultas.
+app.get('/api/vehiculos/exportar', permitir('lectura'), async (req, res) => {
+  const formato = req.query.formato || 'json';
+  if (!FORMATOS_EXPORTACION[formato]) {
+    return res.status(400).json({
+      error: `formato debe ser uno de: ${Object.keys(FORMATOS_EXPORTACION).join(', ')}.`
+    });
+  }
+
+  const conTraccar = parametroBooleano(req.query.traccar);
+  if (conTraccar === null) {
+    return res.status(400).json({ error: 'traccar debe ser "true" o "false".' });
+  }
+
+  const { encontrados, error } = filtrarVehiculos(req.query, req.apiKey);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let posiciones = new Map();
+  let errorTraccar = null;
+  if (conTraccar !== false && encontrados.length > 0) {
+    if (!aplicarPresupuesto('traccar', req, res)) return;
+    try {
+      await asegurarCacheDevices();
+      if (formato === 'geojson' && encontrados.some(([, c]) => c.activo !== false)) {
+        posiciones = await getUltimasPosicionesPorDeviceId();
+      }
+    } catch (err) {
+      console.error('Error consultando Traccar para exportacion:', err.message);
+      errorTraccar = err.response ? `${err.response.status}` : err.message;
+    }
+  }
+  const deviceDe = (config) =>
+    !errorTraccar && conTraccar !== false && config.uniqueId
+      ? DEVICES_CACHE.porUniqueId.get(config.uniqueId) || null
+      : null;
+
+  const generado = new Date().toISOString();
+  const { contentType, extension } = FORMATOS_EXPORTACION[formato];
+  res.status(200);
+  res.set('Content-Type', contentType);
+  res.set(
+    'Content-Disposition',
+    `attachment; filename="vehiculos-${generado.slice(0, 19).replace(/[-:]/g, '')}.${extension}"`
+  );
+  if (errorTraccar) res.set('X-Error-Traccar', errorTraccar);
+
+  const escribir = (trozo) => escribirExportacion(res, trozo);
+
+  try {
+    if (formato === 'csv') {
+      // BOM para que Excel reconozca UTF-8
+      const encabezado = '\ufeff' + COLUMNAS_EXPORTACION_CSV.join(',') + '\r\n';
+      if (!(await escribir(encabezado))) return;
+      for (const [vehiculoId, config] of encontrados) {
+        const fila = filaExportacion(vehiculoId, config, deviceDe(config));
+        if (!(await escribir(renglonCsv(fila)))) return;
+      }
+    } else if (formato === 'json') {
+      const encabezado = {
+        generado,
+        total: encontrados.length,
+        ...(errorTraccar ? { error_traccar: errorTraccar } : {})
+      };
+      // El arreglo se abre a mano para escribir un vehiculo a la vez
+      const apertura = JSON.stringify(encabezado).slice(0, -1) + ',"vehiculos":[';
+      if (!(await escribir(apertura))) return;
+      for (let i = 0; i < encontrados.length; i += 1) {
+        const [vehiculoId, config] = encontrados[i];
+        const fila = filaExportacion(vehiculoId, config, deviceDe(config));
+        if (!(await escribir((i > 0 ? ',' : '') + JSON.stringify(fila)))) return;
+      }
+      if (!(await escribir(']}'))) return;
+    } else {
+      const encabezado = {
+        type: 'FeatureCollection',
+        generado,
+        ...(errorTraccar ? { error_traccar: errorTraccar } : {})
+      };
+      const apertura = JSON.stringify(encabezado).slice(0, -1) + ',"features":[';
+      if (!(await escribir(apertura))) return;
+      let primera = true;
+      for (const [vehiculoId, config] of encontrados) {
+        const device = deviceDe(config);
+        const fila = filaExportacion(vehiculoId, config, device);
+        const position =
+          device && config.activo !== false ? posiciones.get(device.id) || null : null;
+        for (const feature of featuresGeoJsonVehiculo(fila, config, position)) {
+          if (!(await escribir((primera ? '' : ',') + JSON.stringify(feature)))) return;
+          primera = false;
+        }
+      }
+      if (!(await escribir(']}'))) return;
+    }
+    res.end();
+  } catch (err) {
+    // Los encabezados ya se enviaron: solo queda cortar la respuesta
+    console.error('Error generando exportacion de vehiculos:', err.message);
+    res.destroy(err);
+  }
+});
+
+// ---------------------------
+// 2) Inactivar vehiculo
+// ---------------------------
+
+app.post('/api/vehiculos/:vehiculoId/inactivar', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const { motivo } = req.body || {};
+
+  if (!['impago', 'cancelacion'].includes(motivo)) {
+    return res
+      .status(400)
+      .json({ error: 'motivo debe ser "impago" o "cancelacion".' });
+  }
+
+  const yaEstabaInactivo = config.activo === false;
+  config.activo = false;
+  config.motivoInactivacion = motivo;
+  config.fechaInactivacion = new Date().toISOString();
+
+  guardarVehiculos();
+
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    activo: false,
+    motivoInactivacion: motivo,
+    yaEstabaInactivo,
+    mensaje:
+      'Vehiculo inactivado por motivo "' +
+      motivo +
+      '". No se realizaran mas operaciones hasta reactivacion.'
+  });
+});
+
+// ---------------------------
+// 3) Reactivar vehiculo
+// ---------------------------
+
+app.post('/api/vehiculos/:vehiculoId/reactivar', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  if (!config.uniqueId) {
+    return res.status(409).json({
+      error:
+        'El vehiculo no tiene un dispositivo (uniqueId) asignado. Asigna un dispositivo antes de reactivar.'
+    });
+  }
+
+  if (config.activo !== false) {
+    return res.json({
+      ok: false,
+      vehiculoId,
+      contratoId: config.contratoId,
+      activo: true,
+      mensaje: 'El vehiculo ya se encontraba activo.'
+    });
+  }
+
+  config.activo = true;
+  config.motivoInactivacion = null;
+  config.fechaReactivacion = new Date().toISOString();
+  config.inactivadoPorContrato = false;
+
+  guardarVehiculos();
+
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    activo: true,
+    mensaje:
+      'Vehiculo reactivado. Se reanuda el monitoreo y el uso de funciones de seguridad.'
+  });
+});
+
+// ---------------------------
+// 4) Cambiar equipo (modificar uniqueId)
+// ---------------------------
+
+app.post('/api/vehiculos/:vehiculoId/modificar-uniqueId', permitir('gestion_vehiculos'), limitar('traccar'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    const { nuevoUniqueId } = req.body || {};
+    if (!nuevoUniqueId || typeof nuevoUniqueId !== 'string') {
+      return res
+        .status(400)
+        .json({ error: 'nuevoUniqueId es obligatorio y debe ser un string.' });
+    }
+
+    if (!config.uniqueId) {
+      return res.status(409).json({
+        error:
+          'El vehiculo no tiene uniqueId actual asignado. Revisa el estado o usa el flujo de alta.'
+      });
+    }
+
+    const otro = Object.entries(VEHICULOS).find(
+      ([id, v]) => v.uniqueId === nuevoUniqueId && id !== vehiculoId
+    );
+    if (otro) {
+      return res.status(409).json({
+        error:
+          'El nuevo uniqueId ya esta asignado al vehiculo ' +
+          otro[0] +
+          '.'
+      });
+    }
+
+    const device = await crearOActualizarDeviceEnTraccar(
+      nuevoUniqueId,
+      nombreDeviceTraccar(config)
+    );
+
+    const uniqueIdAnterior = config.uniqueId;
+    config.uniqueId = nuevoUniqueId;
+    config.fechaCambioUniqueId = new Date().toISOString();
+
+    guardarVehiculos();
+
+    return res.json({
+      ok: true,
+      vehiculoId,
+      contratoId: config.contratoId,
+      uniqueIdAnterior,
       nuevoUniqueId,
       traccarDeviceId: device.id,
       mensaje:
-        'uniqueId actualizado correctamente. El nuevo dispositivo queda asociado a este vehiculo.'
+        'uniqueId actualizado correctamente. El nuevo dispositivo queda asociado a este vehiculo.'
+    });
+  } catch (err) {
+    console.error(
+      'Error en POST /api/vehiculos/:vehiculoId/modificar-uniqueId:',
+      err.message
+    );
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'No se pudo modificar el uniqueId del vehiculo',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// ---------------------------
+// 5) Reutilizar equipo (liberar uniqueId)
+// ---------------------------
+
+app.post('/api/vehiculos/:vehiculoId/liberar-dispositivo', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  if (config.activo !== false) {
+    return res.status(409).json({
+      error:
+        'Solo puedes liberar el dispositivo de un vehiculo inactivo. Inactivalo primero.'
+    });
+  }
+
+  if (!config.uniqueId) {
+    return res.status(409).json({
+      error:
+        'El vehiculo no tiene uniqueId asignado actualmente. No hay dispositivo que liberar.'
+    });
+  }
+
+  const uniqueIdLiberado = config.uniqueId;
+  config.uniqueId = null;
+  config.fechaLiberacionUniqueId = new Date().toISOString();
+
+  guardarVehiculos();
+
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    activo: false,
+    uniqueIdLiberado,
+    mensaje:
+      'Dispositivo liberado. El uniqueId puede asignarse a otro cliente mediante el proceso de alta de vehiculo.'
+  });
+});
+
+// ---------------------------
+// 6) Consultar estatus del vehiculo
+// ---------------------------
+
+app.get('/api/vehiculos/:vehiculoId/estatus', permitir('lectura'), limitar('traccar'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    const siniestro = config.siniestroId ? SINIESTROS[config.siniestroId] : null;
+
+    const base = {
+      vehiculoId,
+      contratoId: config.contratoId,
+      tipoCliente: config.tipoCliente,
+      nombreTitular: config.nombreTitular,
+      aliasUnidad: config.aliasUnidad || null,
+      activo_orq: config.activo !== false,
+      motivoInactivacion: config.motivoInactivacion || null,
+      zona_horaria: zonaHorariaDe(config),
+      estado_corte: estadoCorte(vehiculoId, 'desconocido'),
+      tiene_zona_segura: zonasSegurasDe(config).length > 0,
+      zona_segura_activa: zonasSegurasDe(config).some((z) => z.activo === true),
+      zonas_seguras_activas: zonasSegurasDe(config).filter(
+        (z) => z.activo === true
+      ).length,
+      modo_siniestro: config.modoSiniestro === true,
+      siniestroId: config.siniestroId || null,
+      hora_inicio_siniestro: siniestro?.horaInicio || null,
+      hora_cierre_siniestro: siniestro?.horaCierre || null,
+      resultado_siniestro: siniestro?.resultado || null
+    };
+
+    if (!config.uniqueId) {
+      return res.json({
+        ...base,
+        tiene_uniqueId: false,
+        uniqueId: null,
+        existe_en_traccar: false,
+        status_traccar: null,
+        activo_traccar: null,
+        ultima_comunicacion_utc: null,
+        ultima_comunicacion_local: null
+      });
+    }
+
+    const device = await getDeviceByUniqueId(config.uniqueId);
+
+    if (!device) {
+      return res.json({
+        ...base,
+        tiene_uniqueId: true,
+        uniqueId: config.uniqueId,
+        existe_en_traccar: false,
+        status_traccar: null,
+        activo_traccar: null,
+        ultima_comunicacion_utc: null,
+        ultima_comunicacion_local: null
+      });
+    }
+
+    const statusTraccar = device.status || 'desconocido';
+    const activoTraccar = statusTraccar === 'online';
+    const lastUpdateUtc = device.lastUpdate || null;
+    const lastUpdateLocal = utcToLocal(lastUpdateUtc, zonaHorariaDe(config));
+
+    return res.json({
+      ...base,
+      tiene_uniqueId: true,
+      uniqueId: config.uniqueId,
+      existe_en_traccar: true,
+      status_traccar: statusTraccar,
+      activo_traccar: activoTraccar,
+      ultima_comunicacion_utc: lastUpdateUtc,
+      ultima_comunicacion_local: lastUpdateLocal
+    });
+  } catch (err) {
+    console.error('Error en GET /api/vehiculos/:vehiculoId/estatus:', err.message);
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'Error consultando estatus en Traccar',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// ---------------------------
+// 7) Ubicacion del vehiculo
+// ---------------------------
+
+app.get('/api/vehiculos/:vehiculoId/ubicacion', permitir('lectura'), limitar('traccar'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    if (config.activo === false) {
+      return res.status(409).json({
+        error: 'Vehiculo inactivo; no se puede consultar ubicacion.',
+        motivo_inactivacion: config.motivoInactivacion || null
+      });
+    }
+
+    if (!config.uniqueId) {
+      return res.status(409).json({
+        error:
+          'El vehiculo no tiene uniqueId asignado. No se puede consultar ubicacion.'
+      });
+    }
+
+    const { device, position } = await getDeviceAndPositionByUniqueId(
+      config.uniqueId
+    );
+
+    const estado = device.status || 'desconocido';
+
+    const rawTime =
+      (position && (position.serverTime || position.deviceTime || position.fixTime)) ||
+      null;
+
+    const horaLocal = utcToLocal(rawTime, zonaHorariaDe(config));
+
+    const lat = position ? position.latitude : null;
+    const lon = position ? position.longitude : null;
+
+    const googleMapsUrl =
+      lat != null && lon != null
+        ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
+        : null;
+
+    const fuentePosicion =
+      (position && position.attributes && position.attributes.source) || null;
+    const precision =
+      position && typeof position.accuracy === 'number'
+        ? position.accuracy
+        : null;
+    const satelites =
+      position && position.attributes && typeof position.attributes.sat === 'number'
+        ? position.attributes.sat
+        : null;
+
+    const velocidadKmh =
+      position && typeof position.speed === 'number'
+        ? knotsToKmh(position.speed)
+        : null;
+
+    registrarAccionSiniestro(config, 'consulta_ubicacion', req.actor, {
+      lat,
+      lon,
+      hora_posicion_utc: rawTime,
+      velocidad_kmh: velocidadKmh
+    });
+
+    return res.json({
+      vehiculoId,
+      contratoId: config.contratoId,
+      nombre_mostrado: config.aliasUnidad || config.nombreTitular,
+      estado,
+      lat,
+      lon,
+      hora_ultima_posicion_utc: rawTime,
+      hora_ultima_posicion_local: horaLocal,
+      zona_horaria: zonaHorariaDe(config),
+      google_maps_url: googleMapsUrl,
+      fuente_posicion: fuentePosicion,
+      precision_aprox_m: precision,
+      satelites,
+      velocidad_kmh: velocidadKmh
+    });
+  } catch (err) {
+    console.error('Error en GET /api/vehiculos/:vehiculoId/ubicacion:', err.message);
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'Error consultando Traccar',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// ---------------------------
+// 7b) Recorrido del vehiculo
+// ---------------------------
+
+// Posiciones de un rango (report de ruta de Traccar). desde / hasta son ISO
+// 8601; sin offset se interpretan en la zona horaria del vehiculo / contrato
+// y una fecha sola en hasta cubre el dia completo. Sin desde se regresan las
+// ultimas RECORRIDO_HORAS_DEFAULT horas. Si hay mas de max_puntos posiciones
+// se toma una muestra uniforme (conservando el primer y el ultimo punto);
+// distancia y velocidad maxima se calculan con todas.
+const RECORRIDO_HORAS_DEFAULT = 24;
+const RECORRIDO_RANGO_MAX_DIAS = enteroDeEntorno('RECORRIDO_RANGO_MAX_DIAS', 7);
+// Minimo 2 para conservar siempre el primer y el ultimo punto.
+const RECORRIDO_MAX_PUNTOS = enteroDeEntorno('RECORRIDO_MAX_PUNTOS', 2000, 2);
+const FORMATOS_RECORRIDO = {
+  json: { contentType: 'application/json' },
+  geojson: { contentType: 'application/geo+json' },
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' }
+};
+
+// Regresa un DateTime valido, null si no se envio, o undefined si es invalido
+function fechaConsultaRecorrido(valor, zonaHoraria, finDelDia = false) {
+  if (valor === undefined || valor === '') return null;
+  const fecha = DateTime.fromISO(String(valor), { zone: zonaHoraria });
+  if (!fecha.isValid) return undefined;
+  return finDelDia && /^\d{4}-\d{2}-\d{2}$/.test(valor) ? fecha.endOf('day') : fecha;
+}
+
+// Report de ruta de Traccar; las instalaciones sin el modulo de reportes
+// responden 404 y se usa /positions con el mismo rango
+async function posicionesDeRango(deviceId, desde, hasta) {
+  const params = { deviceId, from: desde.toISOString(), to: hasta.toISOString() };
+  try {
+    const resp = await traccarClient.get('/reports/route', { params });
+    return resp.data || [];
+  } catch (err) {
+    if (!err.response || err.response.status !== 404) throw err;
+    const resp = await traccarClient.get('/positions', { params });
+    return resp.data || [];
+  }
+}
+
+// Muestra uniforme de maximo puntos, incluyendo el primero y el ultimo
+function reducirPuntos(puntos, maximo) {
+  if (puntos.length <= maximo) return puntos;
+  const paso = (puntos.length - 1) / (maximo - 1);
+  const reducidos = [];
+  for (let i = 0; i < maximo; i += 1) {
+    reducidos.push(puntos[Math.round(i * paso)]);
+  }
+  return reducidos;
+}
+
+function escaparXml(valor) {
+  return String(valor)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function gpxRecorrido(datos, puntos) {
+  const nombre = escaparXml(`${datos.nombre_mostrado || datos.vehiculoId}`);
+  const descripcion = escaparXml(
+    `${datos.desde_local} - ${datos.hasta_local} (${datos.zona_horaria})`
+  );
+  const trkpts = puntos.map((p) => {
+    const elevacion = p.altitud_m != null ? `<ele>${p.altitud_m}</ele>` : '';
+    const hora = p.hora_utc ? `<time>${escaparXml(p.hora_utc)}</time>` : '';
+    const velocidad = p.velocidad_kmh != null ? ` - ${p.velocidad_kmh} km/h` : '';
+    const desc = `<desc>${escaparXml(`${p.hora_local || ''}${velocidad}`)}</desc>`;
+    return `      <trkpt lat="${p.lat}" lon="${p.lon}">${elevacion}${hora}${desc}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Orquestador AMA" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${nombre}</name><desc>${descripcion}</desc><time>${datos.generado}</time></metadata>`,
+    `  <trk><name>${nombre}</name><desc>${descripcion}</desc>`,
+    '    <trkseg>',
+    ...trkpts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+function kmlRecorrido(datos, puntos) {
+  const nombre = escaparXml(`${datos.nombre_mostrado || datos.vehiculoId}`);
+  const placemarkPunto = (titulo, p) =>
+    `    <Placemark><name>${titulo}</name>` +
+    (p.hora_local ? `<TimeStamp><when>${escaparXml(p.hora_local)}</when></TimeStamp>` : '') +
+    `<Point><coordinates>${p.lon},${p.lat}</coordinates></Point></Placemark>`;
+
+  const lineas = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${nombre}</name>`,
+    `    <description>${escaparXml(
+      `${datos.desde_local} - ${datos.hasta_local} (${datos.zona_horaria}), ${datos.distancia_km} km`
+    )}</description>`
+  ];
+  if (puntos.length >= 2) {
+    lineas.push(
+      `    <Placemark><name>Recorrido</name>` +
+        `<TimeSpan><begin>${escaparXml(datos.desde_local)}</begin><end>${escaparXml(datos.hasta_local)}</end></TimeSpan>` +
+        '<LineString><tessellate>1</tessellate><coordinates>' +
+        puntos.map((p) => `${p.lon},${p.lat}`).join(' ') +
+        '</coordinates></LineString></Placemark>'
+    );
+  }
+  if (puntos.length > 0) {
+    lineas.push(placemarkPunto('Inicio', puntos[0]));
+    if (puntos.length > 1) lineas.push(placemarkPunto('Fin', puntos[puntos.length - 1]));
+  }
+  lineas.push('  </Document>', '</kml>', '');
+  return lineas.join('\n');
+}
+
+app.get('/api/vehiculos/:vehiculoId/recorrido', permitir('lectura'), limitar('traccar'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    if (config.activo === false) {
+      return res.status(409).json({
+        error: 'Vehiculo inactivo; no se puede consultar el recorrido.',
+        motivo_inactivacion: config.motivoInactivacion || null
+      });
+    }
+
+    if (!config.uniqueId) {
+      return res.status(409).json({
+        error:
+          'El vehiculo no tiene uniqueId asignado. No se puede consultar el recorrido.'
+      });
+    }
+
+    const formato = req.query.formato || 'json';
+    if (!FORMATOS_RECORRIDO[formato]) {
+      return res.status(400).json({
+        error: `formato debe ser uno de: ${Object.keys(FORMATOS_RECORRIDO).join(', ')}.`
+      });
+    }
+
+    let maxPuntos = RECORRIDO_MAX_PUNTOS;
+    if (req.query.max_puntos !== undefined) {
+      maxPuntos = parseInt(req.query.max_puntos, 10);
+      if (!Number.isInteger(maxPuntos) || maxPuntos < 2 || maxPuntos > RECORRIDO_MAX_PUNTOS) {
+        return res.status(400).json({
+          error: `max_puntos debe ser entero entre 2 y ${RECORRIDO_MAX_PUNTOS}.`
+        });
+      }
+    }
+
+    const zonaHoraria = zonaHorariaDe(config);
+    let hasta = fechaConsultaRecorrido(req.query.hasta, zonaHoraria, true);
+    let desde = fechaConsultaRecorrido(req.query.desde, zonaHoraria);
+    if (hasta === undefined || desde === undefined) {
+      return res
+        .status(400)
+        .json({ error: 'desde y hasta deben ser fechas ISO 8601 validas.' });
+    }
+    hasta = hasta || DateTime.now().setZone(zonaHoraria);
+    desde = desde || hasta.minus({ hours: RECORRIDO_HORAS_DEFAULT });
+    if (desde >= hasta) {
+      return res.status(400).json({ error: 'desde debe ser anterior a hasta.' });
+    }
+    if (hasta.diff(desde, 'days').days > RECORRIDO_RANGO_MAX_DIAS) {
+      return res.status(400).json({
+        error: `El rango maximo es de ${RECORRIDO_RANGO_MAX_DIAS} dias.`
+      });
+    }
+
+    const device = await getDeviceByUniqueId(config.uniqueId);
+    if (!device) {
+      return res.status(404).json({
+        error: 'No se encontro en Traccar el dispositivo del vehiculo.',
+        uniqueId: config.uniqueId
+      });
+    }
+
+    const positions = await posicionesDeRango(device.id, desde.toJSDate(), hasta.toJSDate());
+    const todos = positions
+      .filter((p) => p.fixTime && esCoordenadaValida({ lat: p.latitude, lon: p.longitude }))
+      .sort((a, b) => Date.parse(a.fixTime) - Date.parse(b.fixTime))
+      .map(puntoDePosicion);
+
+    let distanciaM = 0;
+    let velocidadMaxKmh = null;
+    for (let i = 0; i < todos.length; i += 1) {
+      const p = todos[i];
+      if (i > 0) distanciaM += distanciaMetros(todos[i - 1].lat, todos[i - 1].lon, p.lat, p.lon);
+      if (p.velocidad_kmh != null && (velocidadMaxKmh == null || p.velocidad_kmh > velocidadMaxKmh)) {
+        velocidadMaxKmh = p.velocidad_kmh;
+      }
+    }
+
+    const puntos = reducirPuntos(todos, maxPuntos).map((punto) => ({
+      ...punto,
+      hora_local: utcToLocal(punto.hora_utc, zonaHoraria)
+    }));
+
+    const generado = new Date().toISOString();
+    const datos = {
+      vehiculoId,
+      contratoId: config.contratoId,
+      nombre_mostrado: config.aliasUnidad || config.nombreTitular,
+      zona_horaria: zonaHoraria,
+      desde_utc: desde.toUTC().toISO(),
+      hasta_utc: hasta.toUTC().toISO(),
+      desde_local: desde.toISO(),
+      hasta_local: hasta.toISO(),
+      generado,
+      total_posiciones: todos.length,
+      total: puntos.length,
+      reducido: puntos.length < todos.length,
+      distancia_km: Math.round(distanciaM / 10) / 100,
+      velocidad_max_kmh: velocidadMaxKmh
+    };
+
+    const { contentType, extension } = FORMATOS_RECORRIDO[formato];
+    res.type(contentType);
+    if (extension) {
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="recorrido-${vehiculoId}-${desde.toFormat('yyyyMMdd')}.${extension}"`
+      );
+    }
+
+    if (formato === 'gpx') return res.send(gpxRecorrido(datos, puntos));
+    if (formato === 'kml') return res.send(kmlRecorrido(datos, puntos));
+    if (formato === 'geojson') {
+      return res.json({
+        type: 'Feature',
+        geometry:
+          puntos.length >= 2
+            ? { type: 'LineString', coordinates: puntos.map((p) => [p.lon, p.lat]) }
+            : null,
+        properties: {
+          ...datos,
+          horas_local: puntos.map((p) => p.hora_local),
+          velocidades_kmh: puntos.map((p) => p.velocidad_kmh)
+        }
+      });
+    }
+    return res.json({ ...datos, puntos });
+  } catch (err) {
+    console.error('Error en GET /api/vehiculos/:vehiculoId/recorrido:', err.message);
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'Error consultando Traccar',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// ---------------------------
+// 8) Estado de corte
+// ---------------------------
+
+app.get('/api/vehiculos/:vehiculoId/estado-corte', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    ...resumenEstadoCorte(vehiculoId),
+    comando_pendiente: resumenComando(comandoPendienteDe(vehiculoId))
+  });
+});
+
+// ---------------------------
+// 9) Corte y reanudacion de motor
+// ---------------------------
+
+app.post('/api/vehiculos/:vehiculoId/corte', permitir('comandos_motor'), limitar('comandos'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    if (config.activo === false) {
+      return res.status(409).json({
+        error: 'Vehiculo inactivo; no se puede enviar comando de corte.',
+        motivo_inactivacion: config.motivoInactivacion || null
+      });
+    }
+
+    if (!config.uniqueId) {
+      return res.status(409).json({
+        error:
+          'El vehiculo no tiene uniqueId asignado. No se puede enviar comando de corte.'
+      });
+    }
+
+    let {
+      modo = 'inmediato',
+      timeout_segundos: timeoutSegundos,
+      codigo_confirmacion: codigoConfirmacion
+    } = req.body || {};
+    if (!['inmediato', 'seguro'].includes(modo)) {
+      return res.status(400).json({ error: 'modo debe ser "inmediato" o "seguro".' });
+    }
+    if (
+      timeoutSegundos !== undefined &&
+      (!Number.isInteger(timeoutSegundos) ||
+        timeoutSegundos < 60 ||
+        timeoutSegundos > CORTE_SEGURO_TIMEOUT_MAX_SEGUNDOS)
+    ) {
+      return res.status(400).json({
+        error: `timeout_segundos debe ser entero entre 60 y ${CORTE_SEGURO_TIMEOUT_MAX_SEGUNDOS}.`
+      });
+    }
+
+    const pendiente = corteSeguroPendienteDe(vehiculoId);
+    if (pendiente) {
+      return res.status(409).json({
+        error:
+          'Ya hay un corte seguro pendiente para el vehiculo. Cancelalo antes de solicitar otro corte.',
+        comandoId: pendiente.comandoId,
+        expiraEn: pendiente.expiraEn
+      });
+    }
+
+    const conConfirmacion = requiereConfirmacionCorte(req.apiKey);
+    if (
+      conConfirmacion &&
+      codigoConfirmacion !== undefined &&
+      !(typeof codigoConfirmacion === 'string' && /^\d+$/.test(codigoConfirmacion))
+    ) {
+      return res
+        .status(400)
+        .json({ error: 'codigo_confirmacion debe ser un string de digitos.' });
+    }
+
+    // 0) Segundo paso: el codigo debe ser el vigente para este vehiculo y
+    //    esta key; se corta con el modo solicitado en el primer paso
+    if (conConfirmacion && codigoConfirmacion !== undefined) {
+      const verificacion = verificarDesafioCorte(vehiculoId, req.actor, codigoConfirmacion);
+      if (!verificacion.desafio) {
+        const { status, ...cuerpo } = verificacion;
+        return res.status(status).json(cuerpo);
+      }
+      ({ modo, timeoutSegundos } = verificacion.desafio);
+    }
+
+    // 1) Intentar obtener velocidad actual
+    let velocidadKmh = null;
+    let position = null;
+    try {
+      ({ position } = await getDeviceAndPositionByUniqueId(config.uniqueId));
+      if (position && typeof position.speed === 'number') {
+        velocidadKmh = knotsToKmh(position.speed);
+      }
+    } catch (e) {
+      console.error('Error obteniendo velocidad antes de corte:', e.message);
+      // No rompemos el flujo; seguimos mandando el comando sin velocidad
+    }
+
+    // 1b) Primer paso: regresar el codigo y el resumen, sin enviar nada
+    if (conConfirmacion && codigoConfirmacion === undefined) {
+      const desafio = crearDesafioCorte(vehiculoId, req.actor, { modo, timeoutSegundos });
+      if (desafio.limite) {
+        return responderLimiteExcedido(
+          res,
+          desafio.limite.reinicioSegundos,
+          'Demasiados codigos de confirmacion solicitados para este vehiculo.',
+          { limite: desafio.limite.limite }
+        );
+      }
+
+      const rawTime =
+        (position && (position.serverTime || position.deviceTime || position.fixTime)) ||
+        null;
+      const lat = position ? position.latitude : null;
+      const lon = position ? position.longitude : null;
+
+      return res.status(202).json({
+        vehiculoId,
+        contratoId: config.contratoId,
+        modo,
+        resultado: 'confirmacion_requerida',
+        codigo_confirmacion: desafio.codigo,
+        expiraEn: desafio.expiraEn,
+        vigencia_segundos: CORTE_CONFIRMACION_SEGUNDOS,
+        resumen: {
+          nombre_mostrado: config.aliasUnidad || config.nombreTitular,
+          aliasUnidad: config.aliasUnidad || null,
+          velocidad_kmh: velocidadKmh,
+          lat,
+          lon,
+          google_maps_url:
+            lat != null && lon != null
+              ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
+              : null,
+          hora_ultima_posicion_local: utcToLocal(rawTime, zonaHorariaDe(config)),
+          zona_horaria: zonaHorariaDe(config),
+          estado_corte: estadoCorte(vehiculoId)
+        },
+        mensaje: `Para enviar el corte vuelve a llamar /corte con codigo_confirmacion antes de ${CORTE_CONFIRMACION_SEGUNDOS} segundos. El codigo es de un solo uso.`
+      });
+    }
+
+    const { umbral_kmh: umbralKmh, estable_segundos: estableSegundos } =
+      parametrosCorteSeguro(config);
+
+    // 2a) Modo seguro: el Orquestador retiene el comando hasta que la
+    //     velocidad lo permita (ver revisarCortesSeguros)
+    if (modo === 'seguro') {
+      const comando = crearCorteSeguro(vehiculoId, config, {
+        timeoutSegundos: timeoutSegundos || CORTE_SEGURO_TIMEOUT_SEGUNDOS,
+        velocidadKmh
+      });
+      registrarAccionSiniestro(config, 'corte', req.actor, {
+        comandoId: comando.comandoId,
+        estado_comando: comando.estado,
+        modo,
+        velocidad_kmh: velocidadKmh
+      });
+
+      return res.json({
+        vehiculoId,
+        contratoId: config.contratoId,
+        modo,
+        resultado: comando.estado,
+        comandoId: comando.comandoId,
+        traccarCommandId: null,
+        estado_comando: comando.estado,
+        estado_corte: estadoCorte(vehiculoId),
+        velocidad_kmh: velocidadKmh,
+        umbral_kmh: umbralKmh,
+        estable_segundos: estableSegundos,
+        expiraEn: comando.expiraEn,
+        mensaje: `Corte retenido: se enviara cuando la velocidad se mantenga en ${umbralKmh} km/h o menos durante ${estableSegundos} segundos.`
+      });
+    }
+
+    // 2b) Enviar comando de corte; ESTADO_CORTE cambia hasta que el equipo
+    //     confirme la ejecucion (ver revisarComandosPendientes)
+    const comando = await enviarComandoRastreado(vehiculoId, config, 'engineStop');
+    registrarAccionSiniestro(config, 'corte', req.actor, {
+      comandoId: comando.comandoId,
+      estado_comando: comando.estado,
+      velocidad_kmh: velocidadKmh
+    });
+
+    const superaUmbral = velocidadKmh != null && velocidadKmh > umbralKmh;
+
+    let mensaje =
+      comando.estado === 'en_cola'
+        ? 'Equipo desconectado; el comando de corte quedo en cola y se entregara cuando el equipo se reconecte.'
+        : 'Comando de corte enviado al equipo. Pendiente de confirmacion de ejecucion.';
+    if (superaUmbral) {
+      mensaje += ` El dispositivo ejecutara el paro cuando la velocidad sea menor o igual a ${umbralKmh} km/h.`;
+    }
+
+    return res.json({
+      vehiculoId,
+      contratoId: config.contratoId,
+      modo,
+      resultado: comando.estado,
+      comandoId: comando.comandoId,
+      traccarCommandId: comando.traccarCommandId,
+      estado_comando: comando.estado,
+      estado_corte: estadoCorte(vehiculoId),
+      velocidad_kmh: velocidadKmh,
+      corte_puede_demorar: superaUmbral,
+      mensaje
+    });
+  } catch (err) {
+    console.error('Error en POST /api/vehiculos/:vehiculoId/corte:', err.message);
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'No se pudo enviar el comando de corte',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+app.post('/api/vehiculos/:vehiculoId/reanudar', permitir('comandos_motor'), limitar('comandos'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    if (config.activo === false) {
+      return res.status(409).json({
+        error: 'Vehiculo inactivo; no se puede enviar comando de reanudacion.',
+        motivo_inactivacion: config.motivoInactivacion || null
+      });
+    }
+
+    if (!config.uniqueId) {
+      return res.status(409).json({
+        error:
+          'El vehiculo no tiene uniqueId asignado. No se puede enviar comando de reanudacion.'
+      });
+    }
+
+    // Un corte seguro aun retenido ya no debe enviarse
+    const corteRetenido = corteSeguroPendienteDe(vehiculoId);
+    if (corteRetenido) {
+      cancelarCorteSeguro(corteRetenido, 'Se solicito reanudacion del motor');
+    }
+
+    const comando = await enviarComandoRastreado(
+      vehiculoId,
+      config,
+      'engineResume'
+    );
+    registrarAccionSiniestro(config, 'reanudacion', req.actor, {
+      comandoId: comando.comandoId,
+      estado_comando: comando.estado
+    });
+
+    return res.json({
+      vehiculoId,
+      contratoId: config.contratoId,
+      resultado: comando.estado,
+      comandoId: comando.comandoId,
+      traccarCommandId: comando.traccarCommandId,
+      estado_comando: comando.estado,
+      estado_corte: estadoCorte(vehiculoId),
+      corte_seguro_cancelado: corteRetenido ? corteRetenido.comandoId : null,
+      mensaje:
+        comando.estado === 'en_cola'
+          ? 'Equipo desconectado; el comando de reanudacion quedo en cola y se entregara cuando el equipo se reconecte.'
+          : 'Comando de reanudacion enviado al equipo. Pendiente de confirmacion de ejecucion.'
+    });
+  } catch (err) {
+    console.error(
+      'Error en POST /api/vehiculos/:vehiculoId/reanudar:',
+      err.message
+    );
+    if (err.response) {
+      console.error('Status:', err.response.status);
+      console.error('Data:', err.response.data);
+    }
+    return res.status(500).json({
+      error: 'No se pudo enviar el comando de reanudacion',
+      detalle: err.response ? `${err.response.status}` : err.message
+    });
+  }
+});
+
+// Historial reciente de comandos de motor del vehiculo
+app.get('/api/vehiculos/:vehiculoId/comandos', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const comandos = Object.values(COMANDOS)
+    .filter((c) => c.vehiculoId === vehiculoId)
+    .sort((a, b) => Date.parse(b.creadoEn) - Date.parse(a.creadoEn));
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    estado_corte: estadoCorte(vehiculoId),
+    total: comandos.length,
+    comandos
+  });
+});
+
+// Estado de un comando. Si aun no termina se revisa Traccar en ese momento.
+app.get('/api/vehiculos/:vehiculoId/comandos/:comandoId', permitir('lectura'), limitar('traccar'), async (req, res) => {
+  const { vehiculoId, comandoId } = req.params;
+  const comando = COMANDOS[comandoId];
+
+  if (!comando || comando.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Comando no encontrado' });
+  }
+
+  if (!comandoTerminado(comando)) {
+    try {
+      if (await revisarComando(comando)) guardarComandos();
+    } catch (err) {
+      console.error(`Error revisando comando ${comandoId}:`, err.message);
+    }
+  }
+
+  return res.json({
+    ...comando,
+    terminado: comandoTerminado(comando),
+    estado_corte: estadoCorte(vehiculoId)
+  });
+});
+
+// Cancela un corte seguro que sigue retenido por velocidad
+app.post('/api/vehiculos/:vehiculoId/comandos/:comandoId/cancelar', permitir('comandos_motor'), (req, res) => {
+  const { vehiculoId, comandoId } = req.params;
+  const comando = COMANDOS[comandoId];
+
+  if (!comando || comando.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Comando no encontrado' });
+  }
+
+  if (comando.estado !== 'pendiente_velocidad') {
+    return res.status(409).json({
+      error: 'Solo se puede cancelar un corte seguro que aun no se envia al equipo.',
+      estado_comando: comando.estado
+    });
+  }
+  if (comando.corteSeguro.enviando) {
+    return res.status(409).json({
+      error: 'El comando se esta enviando al equipo; ya no se puede cancelar.',
+      estado_comando: comando.estado
+    });
+  }
+
+  const { motivo } = req.body || {};
+  cancelarCorteSeguro(
+    comando,
+    typeof motivo === 'string' && motivo.trim() ? motivo.trim() : 'Cancelado por solicitud'
+  );
+  if (VEHICULOS[vehiculoId]) {
+    registrarAccionSiniestro(VEHICULOS[vehiculoId], 'cancelacion_corte', req.actor, {
+      comandoId
+    });
+  }
+
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: comando.contratoId,
+    comandoId,
+    estado_comando: comando.estado,
+    estado_corte: estadoCorte(vehiculoId)
+  });
+});
+
+// Parametros del corte seguro del vehiculo (valores propios y efectivos)
+app.get('/api/vehiculos/:vehiculoId/corte-seguro', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const pendiente = corteSeguroPendienteDe(vehiculoId);
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    configurado: {
+      umbral_kmh: config.corteSeguro?.umbral_kmh ?? null,
+      estable_segundos: config.corteSeguro?.estable_segundos ?? null
+    },
+    efectivo: parametrosCorteSeguro(config),
+    corte_pendiente: pendiente
+      ? { ...resumenComando(pendiente), expiraEn: pendiente.expiraEn, ...pendiente.corteSeguro }
+      : null
+  });
+});
+
+// umbral_kmh / estable_segundos: numero, o null para volver al default.
+// No cambia un corte seguro ya pendiente (conserva los valores con que se creo).
+app.put('/api/vehiculos/:vehiculoId/corte-seguro', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const { umbral_kmh, estable_segundos } = req.body || {};
+  if (umbral_kmh === undefined && estable_segundos === undefined) {
+    return res
+      .status(400)
+      .json({ error: 'Envia umbral_kmh y/o estable_segundos.' });
+  }
+  const error = validarParametrosCorteSeguro({ umbral_kmh, estable_segundos });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const corteSeguro = { umbral_kmh: null, estable_segundos: null, ...config.corteSeguro };
+  if (umbral_kmh !== undefined) corteSeguro.umbral_kmh = umbral_kmh;
+  if (estable_segundos !== undefined) corteSeguro.estable_segundos = estable_segundos;
+  config.corteSeguro = corteSeguro;
+  guardarVehiculos();
+
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    configurado: corteSeguro,
+    efectivo: parametrosCorteSeguro(config)
+  });
+});
+
+// ---------------------------
+// 10) Zona Segura
+// ---------------------------
+
+// Obtiene la posicion actual del vehiculo para usarla como centro de zona.
+// Regresa { centro } o { status, body } con la respuesta de error a enviar.
+async function obtenerCentroDesdePosicionActual(config) {
+  if (!config.uniqueId) {
+    return {
+      status: 409,
+      body: {
+        error:
+          'El vehiculo no tiene uniqueId asignado. Envia centro o lugarId para configurar la Zona Segura.'
+      }
+    };
+  }
+
+  try {
+    const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
+    if (!position) {
+      return {
+        status: 409,
+        body: {
+          error:
+            'No se encontro posicion reciente del vehiculo para configurar Zona Segura. Intenta de nuevo cuando el equipo tenga señal, o envia centro o lugarId.'
+        }
+      };
+    }
+    return {
+      centro: { lat: position.latitude, lon: position.longitude },
+      origen: 'posicion_actual'
+    };
+  } catch (e) {
+    console.error('Error obteniendo posicion para Zona Segura:', e.message);
+    return {
+      status: 500,
+      body: {
+        error:
+          'Error consultando posicion actual del vehiculo para configurar Zona Segura.',
+        detalle: e.message
+      }
+    };
+  }
+}
+
+// Centro de una zona circular, en este orden de preferencia:
+//  1) centro explicito { lat, lon }
+//  2) lugarId: lugar guardado del contrato (por id o nombre)
+//  3) posicion actual del vehiculo
+// Regresa { centro, origen, lugarId } o { status, body } con el error a enviar.
+async function resolverCentroZona(config, body) {
+  if (body.centro !== undefined) {
+    if (!esCoordenadaValida(body.centro)) {
+      return {
+        status: 400,
+        body: { error: 'centro debe ser { lat, lon } con coordenadas validas.' }
+      };
+    }
+    return {
+      centro: { lat: body.centro.lat, lon: body.centro.lon },
+      origen: 'explicito'
+    };
+  }
+
+  if (body.lugarId !== undefined) {
+    const lugar = buscarLugar(config.contratoId, body.lugarId);
+    if (!lugar) {
+      return {
+        status: 404,
+        body: {
+          error: 'Lugar no encontrado en el contrato: ' + body.lugarId
+        }
+      };
+    }
+    return {
+      centro: { lat: lugar.lat, lon: lugar.lon },
+      origen: 'lugar',
+      lugarId: lugar.id
+    };
+  }
+
+  return obtenerCentroDesdePosicionActual(config);
+}
+
+// Distancia de la posicion actual del vehiculo a una zona recien configurada.
+// Es informativa: si Traccar no responde se regresa null.
+async function medirPosicionActualEnZona(config, zona) {
+  if (!config.uniqueId) return null;
+  try {
+    const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
+    if (!position) return null;
+    return medirPosicionEnZona(zona, position.latitude, position.longitude);
+  } catch (e) {
+    console.error('Error midiendo posicion actual contra Zona Segura:', e.message);
+    return null;
+  }
+}
+
+// Configurar / activar Zona Segura (Z1 / Z3)
+// Opera sobre la zona 'principal'; para mas zonas usar /zonas-seguras/:zonaId
+app.post('/api/vehiculos/:vehiculoId/zona-segura', permitir('gestion_vehiculos'), limitar('traccar'), async (req, res) => {
+  try {
+    const vehiculoId = req.params.vehiculoId;
+    const config = VEHICULOS[vehiculoId];
+
+    if (!config) {
+      return res
+        .status(404)
+        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    }
+
+    if (config.activo === false) {
+      return res.status(409).json({
+        error: 'Vehiculo inactivo; no se puede configurar Zona Segura.',
+        motivo_inactivacion: config.motivoInactivacion || null
+      });
+    }
+
+    // Sin uniqueId solo se puede configurar con centro, lugarId o poligono
+    // (ver obtenerCentroDesdePosicionActual)
+    const datos = req.body || {};
+    const errorValidacion = validarDatosZonaSegura(datos);
+    if (errorValidacion) {
+      return res.status(400).json({ error: errorValidacion });
+    }
+
+    const { forzarSobreEscritura } = datos;
+
+    const zonaActual = buscarZonaSegura(config, ZONA_PRINCIPAL_ID);
+    const zonaActivaYa = !!zonaActual && zonaActual.activo === true;
+
+    if (!zonaActual && zonasSegurasDe(config).length >= ZONAS_SEGURAS_MAX) {
+      return res.status(409).json({
+        error: `El vehiculo ya tiene el maximo de ${ZONAS_SEGURAS_MAX} Zonas Seguras.`
+      });
+    }
+
+    if (zonaActivaYa && !forzarSobreEscritura) {
+      return res.json({
+        ok: false,
+        vehiculoId,
+        contratoId: config.contratoId,
+        yaExistiaActiva: true,
+        requiere_confirmacion: true,
+        zona_actual: {
+          id: zonaActual.id,
+          nombre: zonaActual.nombre,
+          ...resumenGeometriaZona(zonaActual),
+          diasSemana: zonaActual.diasSemana,
+          horaInicio: zonaActual.horaInicio,
+          horaFin: zonaActual.horaFin,
+          activo: zonaActual.activo
+        },
+        mensaje:
+          'Ya existe una Zona Segura activa. El usuario debe decidir si la mantiene o la reemplaza.'
+      });
+    }
+
+    // Zona circular: centro explicito, lugar guardado o posicion actual.
+    // Zona poligonal: el centro es el centroide del poligono.
+    const base = { id: ZONA_PRINCIPAL_ID, centro: null };
+    if (datos.poligono === undefined) {
+      const resultadoCentro = await resolverCentroZona(config, datos);
+      if (!resultadoCentro.centro) {
+        return res.status(resultadoCentro.status).json(resultadoCentro.body);
+      }
+      base.centro = resultadoCentro.centro;
+      base.origen_centro = resultadoCentro.origen;
+      base.lugarId = resultadoCentro.lugarId || null;
+    }
+
+    const nuevaZona = aplicarDatosZonaSegura(base, datos);
+
+    config.zonasSeguras = zonaActual
+      ? zonasSegurasDe(config).map((z) =>
+          z.id === ZONA_PRINCIPAL_ID ? nuevaZona : z
+        )
+      : [...zonasSegurasDe(config), nuevaZona];
+    guardarVehiculos();
+
+    // Reiniciar estado de zona en memoria
+    reiniciarEstadoZona(vehiculoId, ZONA_PRINCIPAL_ID);
+
+    // Si la zona no se centro en la unidad, se informa que tan lejos esta
+    const medicion =
+      nuevaZona.origen_centro === 'posicion_actual'
+        ? { distancia_m: 0, fuera: false }
+        : await medirPosicionActualEnZona(config, nuevaZona);
+
+    return res.json({
+      ok: true,
+      vehiculoId,
+      contratoId: config.contratoId,
+      zonaSegura: nuevaZona,
+      yaExistiaActiva: zonaActivaYa,
+      lejos_de_zona: medicion ? medicion.fuera : null,
+      distancia_m: medicion ? medicion.distancia_m : null,
+      mensaje: nuevaZona.activo
+        ? 'Zona Segura configurada y activada correctamente.'
+        : 'Zona Segura configurada pero inactiva.'
     });
   } catch (err) {
     console.error(
-      'Error en POST /api/vehiculos/:vehiculoId/modificar-uniqueId:',
+      'Error en POST /api/vehiculos/:vehiculoId/zona-segura:',
       err.message
     );
     if (err.response) {
@@ -704,17 +6138,14 @@ app.post('/api/vehiculos/:vehiculoId/modificar-uniqueId', async (req, res) => {
       console.error('Data:', err.response.data);
     }
     return res.status(500).json({
-      error: 'No se pudo modificar el uniqueId del vehiculo',
+      error: 'Error configurando Zona Segura',
       detalle: err.response ? `${err.response.status}` : err.message
     });
   }
 });
 
-// ---------------------------
-// 5) Reutilizar equipo (liberar uniqueId)
-// ---------------------------
-
-app.post('/api/vehiculos/:vehiculoId/liberar-dispositivo', (req, res) => {
+// Desactivar Zona Segura principal (Z2)
+app.post('/api/vehiculos/:vehiculoId/zona-segura/desactivar', permitir('gestion_vehiculos'), (req, res) => {
   const vehiculoId = req.params.vehiculoId;
   const config = VEHICULOS[vehiculoId];
 
@@ -724,133 +6155,195 @@ app.post('/api/vehiculos/:vehiculoId/liberar-dispositivo', (req, res) => {
       .json({ error: 'Vehiculo no configurado en el Orquestador' });
   }
 
-  if (config.activo !== false) {
-    return res.status(409).json({
-      error:
-        'Solo puedes liberar el dispositivo de un vehiculo inactivo. Inactivalo primero.'
+  const zona = buscarZonaSegura(config, ZONA_PRINCIPAL_ID);
+
+  if (!zona) {
+    return res.json({
+      ok: false,
+      vehiculoId,
+      contratoId: config.contratoId,
+      mensaje: 'El vehiculo no tiene Zona Segura configurada.'
     });
   }
 
-  if (!config.uniqueId) {
-    return res.status(409).json({
-      error:
-        'El vehiculo no tiene uniqueId asignado actualmente. No hay dispositivo que liberar.'
+  if (zona.activo === false) {
+    return res.json({
+      ok: false,
+      vehiculoId,
+      contratoId: config.contratoId,
+      zonaSegura: {
+        id: zona.id,
+        nombre: zona.nombre,
+        activo: zona.activo
+      },
+      mensaje: 'La Zona Segura ya se encontraba desactivada.'
     });
   }
 
-  const uniqueIdLiberado = config.uniqueId;
-  config.uniqueId = null;
-  config.fechaLiberacionUniqueId = new Date().toISOString();
-
+  // Aquí sí desactivamos
+  zona.activo = false;
   guardarVehiculos();
 
+  // Estado en memoria deja de importar, pero lo reseteamos por claridad
+  reiniciarEstadoZona(vehiculoId, zona.id);
+
   return res.json({
     ok: true,
     vehiculoId,
     contratoId: config.contratoId,
-    activo: false,
-    uniqueIdLiberado,
+    zonaSegura: {
+      id: zona.id,
+      nombre: zona.nombre,
+      activo: zona.activo
+    },
     mensaje:
-      'Dispositivo liberado. El uniqueId puede asignarse a otro cliente mediante el proceso de alta de vehiculo.'
+      'Zona Segura desactivada. La configuracion se mantiene pero no generara alertas.'
   });
 });
 
-// ---------------------------
-// 6) Consultar estatus del vehiculo
-// ---------------------------
+// ACTIVAR Zona Segura principal existente
+app.post('/api/vehiculos/:vehiculoId/zona-segura/activar', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
 
-app.get('/api/vehiculos/:vehiculoId/estatus', async (req, res) => {
-  try {
-    const vehiculoId = req.params.vehiculoId;
-    const config = VEHICULOS[vehiculoId];
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
 
-    if (!config) {
-      return res
-        .status(404)
-        .json({ error: 'Vehiculo no configurado en el Orquestador' });
-    }
+  const zona = buscarZonaSegura(config, ZONA_PRINCIPAL_ID);
 
-    const base = {
+  if (!zona) {
+    return res.status(409).json({
+      error: 'El vehiculo no tiene Zona Segura configurada. Debe crearla primero.'
+    });
+  }
+
+  if (zona.activo === true) {
+    return res.json({
+      ok: false,
       vehiculoId,
       contratoId: config.contratoId,
-      tipoCliente: config.tipoCliente,
-      nombreTitular: config.nombreTitular,
-      aliasUnidad: config.aliasUnidad || null,
-      activo_orq: config.activo !== false,
-      motivoInactivacion: config.motivoInactivacion || null,
-      estado_corte: ESTADO_CORTE[vehiculoId] || 'desconocido',
-      tiene_zona_segura: !!config.zonaSegura,
-      zona_segura_activa: config.zonaSegura?.activo === true,
-      modo_siniestro: config.modoSiniestro === true,
-      hora_inicio_siniestro: config.siniestro?.horaInicio || null,
-      hora_cierre_siniestro: config.siniestro?.horaCierre || null,
-      resultado_siniestro: config.siniestro?.resultado || null
-    };
+      zonaSegura: {
+        id: zona.id,
+        nombre: zona.nombre,
+        activo: zona.activo
+      },
+      mensaje: 'La Zona Segura ya se encontraba activada.'
+    });
+  }
 
-    if (!config.uniqueId) {
-      return res.json({
-        ...base,
-        tiene_uniqueId: false,
-        uniqueId: null,
-        existe_en_traccar: false,
-        status_traccar: null,
-        activo_traccar: null,
-        ultima_comunicacion_utc: null,
-        ultima_comunicacion_local: null
-      });
-    }
+  // Activamos la zona
+  zona.activo = true;
+  guardarVehiculos();
 
-    const devices = await getAllDevices();
-    const device = devices.find((d) => d.uniqueId === config.uniqueId);
+  // Reiniciamos el estado en memoria para que el motor vuelva a evaluarla
+  reiniciarEstadoZona(vehiculoId, zona.id);
 
-    if (!device) {
-      return res.json({
-        ...base,
-        tiene_uniqueId: true,
-        uniqueId: config.uniqueId,
-        existe_en_traccar: false,
-        status_traccar: null,
-        activo_traccar: null,
-        ultima_comunicacion_utc: null,
-        ultima_comunicacion_local: null
-      });
-    }
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    zonaSegura: {
+      id: zona.id,
+      nombre: zona.nombre,
+      activo: zona.activo
+    },
+    mensaje: 'Zona Segura activada correctamente.'
+  });
+});
 
-    const statusTraccar = device.status || 'desconocido';
-    const activoTraccar = statusTraccar === 'online';
-    const lastUpdateUtc = device.lastUpdate || null;
-    const lastUpdateLocal = utcToLocalMx(lastUpdateUtc);
 
+// Obtener configuracion de Zona Segura principal
+app.get('/api/vehiculos/:vehiculoId/zona-segura', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const zona = buscarZonaSegura(config, ZONA_PRINCIPAL_ID);
+
+  if (!zona) {
     return res.json({
-      ...base,
-      tiene_uniqueId: true,
-      uniqueId: config.uniqueId,
-      existe_en_traccar: true,
-      status_traccar: statusTraccar,
-      activo_traccar: activoTraccar,
-      ultima_comunicacion_utc: lastUpdateUtc,
-      ultima_comunicacion_local: lastUpdateLocal
-    });
-  } catch (err) {
-    console.error('Error en GET /api/vehiculos/:vehiculoId/estatus:', err.message);
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
-    }
-    return res.status(500).json({
-      error: 'Error consultando estatus en Traccar',
-      detalle: err.response ? `${err.response.status}` : err.message
+      vehiculoId,
+      contratoId: config.contratoId,
+      tiene_zona_segura: false,
+      zonaSegura: null,
+      total_zonas_seguras: zonasSegurasDe(config).length
     });
   }
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    tiene_zona_segura: true,
+    zonaSegura: zona,
+    total_zonas_seguras: zonasSegurasDe(config).length
+  });
+});
+
+// ---------------------------
+// 10b) Zonas Seguras multiples
+// ---------------------------
+
+// Listar todas las zonas del vehiculo con su estado en el motor
+app.get('/api/vehiculos/:vehiculoId/zonas-seguras', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const zonas = zonasSegurasDe(config);
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    total: zonas.length,
+    maximo: ZONAS_SEGURAS_MAX,
+    zonasSeguras: zonas.map((z) => zonaConEstado(vehiculoId, z))
+  });
 });
 
-// ---------------------------
-// 7) Ubicacion del vehiculo
-// ---------------------------
+// Obtener una zona
+app.get('/api/vehiculos/:vehiculoId/zonas-seguras/:zonaId', permitir('lectura'), (req, res) => {
+  const { vehiculoId, zonaId } = req.params;
+  const config = VEHICULOS[vehiculoId];
 
-app.get('/api/vehiculos/:vehiculoId/ubicacion', async (req, res) => {
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const zona = buscarZonaSegura(config, zonaId);
+  if (!zona) {
+    return res.status(404).json({ error: 'Zona Segura no encontrada: ' + zonaId });
+  }
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    zonaSegura: zonaConEstado(vehiculoId, zona)
+  });
+});
+
+// Crear o actualizar una zona. Una zona circular toma su centro de centro,
+// lugarId o la posicion actual del vehiculo (ver resolverCentroZona) al
+// crearla o al convertirla desde poligono; al actualizarla el centro se
+// conserva salvo que se envie centro, lugarId o recentrar: true.
+// Una zona poligonal no depende de la posicion del vehiculo.
+app.put('/api/vehiculos/:vehiculoId/zonas-seguras/:zonaId', permitir('gestion_vehiculos'), limitar('traccar'), async (req, res) => {
   try {
-    const vehiculoId = req.params.vehiculoId;
+    const { vehiculoId, zonaId } = req.params;
     const config = VEHICULOS[vehiculoId];
 
     if (!config) {
@@ -861,88 +6354,118 @@ app.get('/api/vehiculos/:vehiculoId/ubicacion', async (req, res) => {
 
     if (config.activo === false) {
       return res.status(409).json({
-        error: 'Vehiculo inactivo; no se puede consultar ubicacion.',
+        error: 'Vehiculo inactivo; no se puede configurar Zona Segura.',
         motivo_inactivacion: config.motivoInactivacion || null
       });
     }
 
-    if (!config.uniqueId) {
-      return res.status(409).json({
+    if (!ZONA_ID_REGEX.test(zonaId)) {
+      return res.status(400).json({
         error:
-          'El vehiculo no tiene uniqueId asignado. No se puede consultar ubicacion.'
+          'zonaId solo puede contener letras, numeros, "-" y "_" (maximo 40 caracteres).'
       });
     }
 
-    const { device, position } = await getDeviceAndPositionByUniqueId(
-      config.uniqueId
-    );
+    const zonaActual = buscarZonaSegura(config, zonaId);
+    const creando = !zonaActual;
+    const datos = req.body || {};
 
-    const estado = device.status || 'desconocido';
+    const errorValidacion = validarDatosZonaSegura(datos, {
+      parcial: !creando
+    });
+    if (errorValidacion) {
+      return res.status(400).json({ error: errorValidacion });
+    }
 
-    const rawTime =
-      (position && (position.serverTime || position.deviceTime || position.fixTime)) ||
-      null;
+    if (creando && zonasSegurasDe(config).length >= ZONAS_SEGURAS_MAX) {
+      return res.status(409).json({
+        error: `El vehiculo ya tiene el maximo de ${ZONAS_SEGURAS_MAX} Zonas Seguras.`
+      });
+    }
 
-    const horaLocal = utcToLocalMx(rawTime);
+    const { recentrar, poligono, limite_m, centro, lugarId } = datos;
+    const base = { ...(zonaActual || { id: zonaId, centro: null }) };
+
+    const necesitaCentro =
+      poligono === undefined &&
+      (creando ||
+        recentrar === true ||
+        centro !== undefined ||
+        lugarId !== undefined ||
+        (esZonaPoligono(zonaActual) && limite_m !== undefined));
+
+    if (
+      !creando &&
+      esZonaPoligono(zonaActual) &&
+      recentrar === true &&
+      limite_m === undefined
+    ) {
+      return res.status(400).json({
+        error: 'recentrar solo aplica a zonas circulares.'
+      });
+    }
 
-    const lat = position ? position.latitude : null;
-    const lon = position ? position.longitude : null;
+    if (
+      !creando &&
+      esZonaPoligono(zonaActual) &&
+      limite_m === undefined &&
+      (centro !== undefined || lugarId !== undefined)
+    ) {
+      return res.status(400).json({
+        error:
+          'centro y lugarId solo aplican a zonas circulares; envia limite_m para convertirla.'
+      });
+    }
 
-    const googleMapsUrl =
-      lat != null && lon != null
-        ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
-        : null;
+    if (necesitaCentro) {
+      // recentrar: true ignora el centro anterior y usa la posicion actual
+      const resultadoCentro = await resolverCentroZona(config, datos);
+      if (!resultadoCentro.centro) {
+        return res.status(resultadoCentro.status).json(resultadoCentro.body);
+      }
+      base.centro = resultadoCentro.centro;
+      base.origen_centro = resultadoCentro.origen;
+      base.lugarId = resultadoCentro.lugarId || null;
+    }
 
-    const fuentePosicion =
-      (position && position.attributes && position.attributes.source) || null;
-    const precision =
-      position && typeof position.accuracy === 'number'
-        ? position.accuracy
-        : null;
-    const satelites =
-      position && position.attributes && typeof position.attributes.sat === 'number'
-        ? position.attributes.sat
-        : null;
+    const zona = aplicarDatosZonaSegura(base, datos);
 
-    const velocidadKmh =
-      position && typeof position.speed === 'number'
-        ? knotsToKmh(position.speed)
-        : null;
+    config.zonasSeguras = creando
+      ? [...zonasSegurasDe(config), zona]
+      : zonasSegurasDe(config).map((z) => (z.id === zonaId ? zona : z));
+    guardarVehiculos();
+
+    reiniciarEstadoZona(vehiculoId, zonaId);
 
     return res.json({
+      ok: true,
       vehiculoId,
       contratoId: config.contratoId,
-      nombre_mostrado: config.aliasUnidad || config.nombreTitular,
-      estado,
-      lat,
-      lon,
-      hora_ultima_posicion_utc: rawTime,
-      hora_ultima_posicion_local: horaLocal,
-      google_maps_url: googleMapsUrl,
-      fuente_posicion: fuentePosicion,
-      precision_aprox_m: precision,
-      satelites,
-      velocidad_kmh: velocidadKmh
+      creada: creando,
+      zonaSegura: zonaConEstado(vehiculoId, zona),
+      mensaje: creando
+        ? 'Zona Segura creada correctamente.'
+        : 'Zona Segura actualizada correctamente.'
     });
   } catch (err) {
-    console.error('Error en GET /api/vehiculos/:vehiculoId/ubicacion:', err.message);
+    console.error(
+      'Error en PUT /api/vehiculos/:vehiculoId/zonas-seguras/:zonaId:',
+      err.message
+    );
     if (err.response) {
       console.error('Status:', err.response.status);
       console.error('Data:', err.response.data);
     }
     return res.status(500).json({
-      error: 'Error consultando Traccar',
+      error: 'Error configurando Zona Segura',
       detalle: err.response ? `${err.response.status}` : err.message
     });
   }
 });
 
-// ---------------------------
-// 8) Estado de corte
-// ---------------------------
-
-app.get('/api/vehiculos/:vehiculoId/estado-corte', (req, res) => {
-  const vehiculoId = req.params.vehiculoId;
+// Eliminar una zona
+app.delete('/api/vehiculos/:vehiculoId/zonas-seguras/:zonaId', permitir('gestion_vehiculos'), (req, res) => {
+  const { vehiculoId, zonaId } = req.params;
   const config = VEHICULOS[vehiculoId];
 
   if (!config) {
@@ -951,20 +6474,28 @@ app.get('/api/vehiculos/:vehiculoId/estado-corte', (req, res) => {
       .json({ error: 'Vehiculo no configurado en el Orquestador' });
   }
 
-  const estadoCorte = ESTADO_CORTE[vehiculoId] || 'normal';
+  const zona = buscarZonaSegura(config, zonaId);
+  if (!zona) {
+    return res.status(404).json({ error: 'Zona Segura no encontrada: ' + zonaId });
+  }
+
+  config.zonasSeguras = zonasSegurasDe(config).filter((z) => z.id !== zonaId);
+  guardarVehiculos();
+
+  reiniciarEstadoZona(vehiculoId, zonaId);
 
   return res.json({
+    ok: true,
     vehiculoId,
     contratoId: config.contratoId,
-    estado_corte: estadoCorte
+    zonaEliminada: zona,
+    mensaje: 'Zona Segura eliminada.'
   });
 });
 
-// ---------------------------
-// 9) Corte y reanudacion de motor
-// ---------------------------
-
-app.post('/api/vehiculos/:vehiculoId/corte', async (req, res) => {
+// Evaluar si el vehiculo esta dentro/fuera de una Zona Segura (consulta puntual).
+// ?zonaId= elige la zona; por defecto la principal o, si no existe, la primera.
+app.get('/api/vehiculos/:vehiculoId/check-zona-segura', permitir('lectura'), limitar('traccar'), async (req, res) => {
   try {
     const vehiculoId = req.params.vehiculoId;
     const config = VEHICULOS[vehiculoId];
@@ -977,7 +6508,7 @@ app.post('/api/vehiculos/:vehiculoId/corte', async (req, res) => {
 
     if (config.activo === false) {
       return res.status(409).json({
-        error: 'Vehiculo inactivo; no se puede enviar comando de corte.',
+        error: 'Vehiculo inactivo; no se evalua Zona Segura.',
         motivo_inactivacion: config.motivoInactivacion || null
       });
     }
@@ -985,99 +6516,110 @@ app.post('/api/vehiculos/:vehiculoId/corte', async (req, res) => {
     if (!config.uniqueId) {
       return res.status(409).json({
         error:
-          'El vehiculo no tiene uniqueId asignado. No se puede enviar comando de corte.'
+          'El vehiculo no tiene uniqueId asignado. No se puede evaluar Zona Segura.'
       });
     }
 
-    // 1) Intentar obtener velocidad actual
-    let velocidadKmh = null;
-    try {
-      const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
-      if (position && typeof position.speed === 'number') {
-        velocidadKmh = knotsToKmh(position.speed);
-      }
-    } catch (e) {
-      console.error('Error obteniendo velocidad antes de corte:', e.message);
-      // No rompemos el flujo; seguimos mandando el comando sin velocidad
-    }
-
-    // 2) Enviar comando de corte
-    const { command } = await sendCommandToDevice(config.uniqueId, 'engineStop');
-    ESTADO_CORTE[vehiculoId] = 'cortado';
-
-    const superaUmbral =
-      velocidadKmh != null && velocidadKmh > CORTE_UMBRAL_KMH;
+    const zonas = zonasSegurasDe(config);
+    const zonaIdSolicitada = req.query.zonaId;
+    const zona = zonaIdSolicitada
+      ? buscarZonaSegura(config, zonaIdSolicitada)
+      : buscarZonaSegura(config, ZONA_PRINCIPAL_ID) || zonas[0] || null;
 
-    const mensaje = superaUmbral
-      ? `Comando de corte enviado. El dispositivo ejecutara el paro cuando la velocidad sea menor o igual a ${CORTE_UMBRAL_KMH} km/h.`
-      : 'Comando de corte enviado y aceptado por el servidor. El dispositivo debe ejecutar el paro en segundos.';
-
-    return res.json({
-      vehiculoId,
-      contratoId: config.contratoId,
-      resultado: 'confirmado',
-      comandoId: command.id,
-      estado_corte: 'cortado',
-      velocidad_kmh: velocidadKmh,
-      corte_puede_demorar: superaUmbral,
-      mensaje
-    });
-  } catch (err) {
-    console.error('Error en POST /api/vehiculos/:vehiculoId/corte:', err.message);
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
+    if (zonaIdSolicitada && !zona) {
+      return res
+        .status(404)
+        .json({ error: 'Zona Segura no encontrada: ' + zonaIdSolicitada });
     }
-    return res.status(500).json({
-      error: 'No se pudo enviar el comando de corte',
-      detalle: err.response ? `${err.response.status}` : err.message
-    });
-  }
-});
 
-app.post('/api/vehiculos/:vehiculoId/reanudar', async (req, res) => {
-  try {
-    const vehiculoId = req.params.vehiculoId;
-    const config = VEHICULOS[vehiculoId];
+    if (!zona) {
+      return res.json({
+        vehiculoId,
+        contratoId: config.contratoId,
+        tiene_zona_segura: false,
+        activa: false,
+        aplica_ventana: false,
+        fuera_de_zona: false,
+        motivo: 'SIN_CONFIG'
+      });
+    }
 
-    if (!config) {
-      return res
-        .status(404)
-        .json({ error: 'Vehiculo no configurado en el Orquestador' });
+    if (!zona.activo) {
+      return res.json({
+        vehiculoId,
+        contratoId: config.contratoId,
+        zonaId: zona.id,
+        tiene_zona_segura: true,
+        activa: false,
+        aplica_ventana: false,
+        fuera_de_zona: false,
+        motivo: 'ZONA_INACTIVA'
+      });
     }
 
-    if (config.activo === false) {
-      return res.status(409).json({
-        error: 'Vehiculo inactivo; no se puede enviar comando de reanudacion.',
-        motivo_inactivacion: config.motivoInactivacion || null
+    const zonaHoraria = zonaHorariaDe(config);
+    const ahoraLocal = DateTime.now().setZone(zonaHoraria);
+    const aplicaVentana = zonaAplicaEnVentana(zona, ahoraLocal);
+
+    if (!aplicaVentana) {
+      return res.json({
+        vehiculoId,
+        contratoId: config.contratoId,
+        zonaId: zona.id,
+        tiene_zona_segura: true,
+        activa: true,
+        aplica_ventana: false,
+        fuera_de_zona: false,
+        motivo: 'FUERA_HORARIO_O_DIA'
       });
     }
 
-    if (!config.uniqueId) {
-      return res.status(409).json({
+    const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
+    if (!position) {
+      return res.status(500).json({
         error:
-          'El vehiculo no tiene uniqueId asignado. No se puede enviar comando de reanudacion.'
+          'No se encontro posicion reciente para evaluar Zona Segura.'
       });
     }
 
-    const { command } = await sendCommandToDevice(
-      config.uniqueId,
-      'engineResume'
-    );
-    ESTADO_CORTE[vehiculoId] = 'normal';
+    const lat = position.latitude;
+    const lon = position.longitude;
+
+    const medicion = medirPosicionEnZona(zona, lat, lon);
+
+    // Misma histeresis que el motor, partiendo del ultimo estado conocido
+    const estadoMotor = estadoZona(vehiculoId, zona.id);
+    const estadoEvaluado = siguienteEstadoZona(estadoMotor, medicion);
+    const fuera = estadoEvaluado === 'fuera';
+
+    const rawTime =
+      position.serverTime || position.deviceTime || position.fixTime || null;
+    const horaLocalStr = utcToLocal(rawTime, zonaHoraria);
 
     return res.json({
       vehiculoId,
       contratoId: config.contratoId,
-      resultado: 'confirmado',
-      comandoId: command.id,
-      estado_corte: 'normal',
-      mensaje:
-        'Comando de reanudacion enviado y aceptado por el servidor. El dispositivo debe restablecer la marcha en segundos.'
+      zonaId: zona.id,
+      tiene_zona_segura: true,
+      activa: true,
+      aplica_ventana: true,
+      fuera_de_zona: fuera,
+      distancia_m: medicion.distancia_m,
+      dentro_de_limite: medicion.dentro,
+      ...resumenGeometriaZona(zona),
+      lat,
+      lon,
+      hora_ultima_posicion_utc: rawTime,
+      hora_ultima_posicion_local: horaLocalStr,
+      zona_horaria: zonaHoraria,
+      estado_motor: estadoMotor,
+      evento_sugerido: fuera ? 'FUERA_DE_ZONA_SEGURA' : null,
+      // Evento que generaria el motor desde su ultimo estado conocido
+      evento_transicion: eventoPorTransicionZona(estadoMotor, estadoEvaluado)
     });
   } catch (err) {
     console.error(
-      'Error en POST /api/vehiculos/:vehiculoId/reanudar:',
+      'Error en GET /api/vehiculos/:vehiculoId/check-zona-segura:',
       err.message
     );
     if (err.response) {
@@ -1085,18 +6627,96 @@ app.post('/api/vehiculos/:vehiculoId/reanudar', async (req, res) => {
       console.error('Data:', err.response.data);
     }
     return res.status(500).json({
-      error: 'No se pudo enviar el comando de reanudacion',
+      error: 'Error evaluando Zona Segura',
       detalle: err.response ? `${err.response.status}` : err.message
     });
   }
 });
 
-// ---------------------------
-// 10) Zona Segura
-// ---------------------------
+// ---------------------------
+// 11) Siniestros: iniciar, cerrar e historial
+// ---------------------------
+
+// S1 - Iniciar protocolo de siniestro
+app.post('/api/vehiculos/:vehiculoId/siniestro/iniciar', permitir('siniestro'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  if (config.activo === false) {
+    return res.status(409).json({
+      error: 'Vehiculo inactivo; no se puede iniciar siniestro.',
+      motivo_inactivacion: config.motivoInactivacion || null
+    });
+  }
+
+  const { causa, canal } = req.body || {};
+
+  // Un segundo inicio no reemplaza el siniestro abierto ni su horaInicio
+  const abierto = siniestroAbiertoDe(config);
+  if (abierto) {
+    return res.json({
+      ok: true,
+      vehiculoId,
+      contratoId: config.contratoId,
+      modoSiniestro: true,
+      yaEnSiniestro: true,
+      siniestroId: abierto.siniestroId,
+      causa: abierto.causa,
+      canal: abierto.canal,
+      horaInicio: abierto.horaInicio,
+      mensaje: `El vehiculo ${vehiculoId} ya tiene un siniestro abierto.`
+    });
+  }
+
+  const ahoraIso = new Date().toISOString();
+
+  const registro = nuevoRegistroSiniestro(vehiculoId, config, {
+    causa,
+    canal,
+    horaInicio: ahoraIso,
+    actor: req.actor
+  });
+  registro.linea_tiempo.push({
+    fecha: ahoraIso,
+    tipo: 'inicio',
+    actor: req.actor || null,
+    causa: registro.causa,
+    canal: registro.canal
+  });
+  SINIESTROS[registro.siniestroId] = registro;
+  guardarSiniestros();
+
+  config.modoSiniestro = true;
+  config.siniestroId = registro.siniestroId;
+  guardarVehiculos();
+
+  // Primer ciclo de seguimiento sin esperar al intervalo
+  seguirSiniestrosAbiertos().catch((err) =>
+    console.error('Error en seguimiento de siniestros:', err.message)
+  );
 
-// Configurar / activar Zona Segura (Z1 / Z3)
-app.post('/api/vehiculos/:vehiculoId/zona-segura', async (req, res) => {
+  return res.json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    modoSiniestro: true,
+    yaEnSiniestro: false,
+    siniestroId: registro.siniestroId,
+    causa: registro.causa,
+    canal: registro.canal,
+    horaInicio: ahoraIso,
+    mensaje: `Siniestro iniciado para el vehiculo ${vehiculoId}.`
+  });
+});
+
+// S4 - Cerrar siniestro (con reanudacion si corresponde)
+app.post('/api/vehiculos/:vehiculoId/siniestro/cerrar', permitir('siniestro'), limitar('comandos'), async (req, res) => {
   try {
     const vehiculoId = req.params.vehiculoId;
     const config = VEHICULOS[vehiculoId];
@@ -1107,163 +6727,145 @@ app.post('/api/vehiculos/:vehiculoId/zona-segura', async (req, res) => {
         .json({ error: 'Vehiculo no configurado en el Orquestador' });
     }
 
-    if (config.activo === false) {
-      return res.status(409).json({
-        error: 'Vehiculo inactivo; no se puede configurar Zona Segura.',
-        motivo_inactivacion: config.motivoInactivacion || null
-      });
-    }
-
-    if (!config.uniqueId) {
-      return res.status(409).json({
-        error:
-          'El vehiculo no tiene uniqueId asignado. No se puede configurar Zona Segura.'
-      });
-    }
-
-    const {
-      nombre,
-      limite_m,
-      diasAccion,
-      horaInicio,
-      horaFin,
-      activo,
-      forzarSobreEscritura
-    } = req.body || {};
-
-    if (!nombre || typeof nombre !== 'string') {
-      return res
-        .status(400)
-        .json({ error: 'nombre es obligatorio y debe ser string.' });
-    }
-
-    if (typeof limite_m !== 'number') {
-      return res
-        .status(400)
-        .json({ error: 'limite_m es obligatorio y debe ser numero.' });
-    }
-
-    if (limite_m < 20 || limite_m > 40) {
+    const { resultado } = req.body || {};
+    if (!['recuperado', 'no_recuperado'].includes(resultado)) {
       return res.status(400).json({
-        error: 'limite_m debe estar entre 20 y 40 metros.'
+        error: 'resultado debe ser "recuperado" o "no_recuperado".'
       });
     }
 
-    if (!Array.isArray(diasAccion) || diasAccion.length === 0) {
-      return res.status(400).json({
-        error:
-          'diasAccion debe ser un arreglo no vacio con codigos tipo "LU","MA","MI","JU","VI","SA","DO".'
+    const siniestro = siniestroAbiertoDe(config);
+    if (!siniestro) {
+      return res.status(409).json({
+        error: 'El vehiculo no tiene un siniestro abierto.',
+        siniestroId: config.siniestroId || null
       });
     }
 
-    const diasValidos = new Set(['LU', 'MA', 'MI', 'JU', 'VI', 'SA', 'DO']);
-    const diasInvalidos = diasAccion.filter((d) => !diasValidos.has(d));
-    if (diasInvalidos.length > 0) {
-      return res.status(400).json({
+    if (!config.uniqueId) {
+      return res.status(409).json({
         error:
-          'diasAccion contiene valores invalidos: ' + diasInvalidos.join(', ')
+          'El vehiculo no tiene uniqueId asignado. No se puede cerrar siniestro con reanudacion.'
       });
     }
 
-    if (!horaInicio || typeof horaInicio !== 'string') {
-      return res
-        .status(400)
-        .json({ error: 'horaInicio es obligatoria y debe ser string HH:mm.' });
-    }
+    let reanudoMotor = false;
+    let comandoReanudacion = null;
 
-    if (!horaFin || typeof horaFin !== 'string') {
-      return res
-        .status(400)
-        .json({ error: 'horaFin es obligatoria y debe ser string HH:mm.' });
+    const corteRetenido = corteSeguroPendienteDe(vehiculoId);
+    if (corteRetenido) {
+      cancelarCorteSeguro(corteRetenido, 'Siniestro cerrado');
     }
 
-    if (typeof activo !== 'boolean') {
-      return res
-        .status(400)
-        .json({ error: 'activo es obligatorio y debe ser boolean.' });
+    // Tambien se reanuda si el engineStop sigue sin confirmar (equipo sin
+    // conexion): de lo contrario el corte se aplicaria despues del cierre.
+    // Al enviar la reanudacion ese engineStop queda 'reemplazado'.
+    const pendiente = comandoPendienteDe(vehiculoId);
+    if (
+      estadoCorte(vehiculoId) === 'cortado' ||
+      (pendiente && pendiente.tipo === 'engineStop')
+    ) {
+      try {
+        comandoReanudacion = await enviarComandoRastreado(
+          vehiculoId,
+          config,
+          'engineResume'
+        );
+        reanudoMotor = true;
+        agregarALineaTiempo(siniestro, 'reanudacion', req.actor, {
+          comandoId: comandoReanudacion.comandoId,
+          estado_comando: comandoReanudacion.estado,
+          detalle: 'Reanudacion automatica al cerrar el siniestro'
+        });
+      } catch (err) {
+        console.error(
+          'Error reanudando motor al cerrar siniestro:',
+          err.message
+        );
+        if (err.response) {
+          console.error('Status:', err.response.status);
+          console.error('Data:', err.response.data);
+        }
+        return res.status(500).json({
+          error: 'No se pudo reanudar el motor al cerrar el siniestro',
+          detalle: err.response ? `${err.response.status}` : err.message
+        });
+      }
     }
 
-    const zonaActual = config.zonaSegura;
-    const zonaActivaYa = zonaActual && zonaActual.activo === true;
+    // Ultimas posiciones del recorrido antes de cerrarlo
+    await seguirSiniestrosAbiertos().catch((err) =>
+      console.error('Error en seguimiento de siniestros:', err.message)
+    );
 
-    if (zonaActivaYa && !forzarSobreEscritura) {
-      return res.json({
-        ok: false,
-        vehiculoId,
-        contratoId: config.contratoId,
-        yaExistiaActiva: true,
-        requiere_confirmacion: true,
-        zona_actual: {
-          nombre: zonaActual.nombre,
-          radio_cliente_m: zonaActual.radio_cliente_m,
-          diasSemana: zonaActual.diasSemana,
-          horaInicio: zonaActual.horaInicio,
-          horaFin: zonaActual.horaFin,
-          activo: zonaActual.activo
-        },
-        mensaje:
-          'Ya existe una Zona Segura activa. El usuario debe decidir si la mantiene o la reemplaza.'
-      });
-    }
+    let ultimaUbicacion = null;
+    try {
+      const { position } = await getDeviceAndPositionByUniqueId(
+        config.uniqueId
+      );
+      if (position) {
+        const rawTime =
+          position.serverTime ||
+          position.deviceTime ||
+          position.fixTime ||
+          null;
 
-    // Obtener posicion actual del vehiculo
-    let latCentro = null;
-    let lonCentro = null;
+        const horaLocal = utcToLocal(rawTime, zonaHorariaDe(config));
 
-    try {
-      const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
-      if (!position) {
-        return res.status(500).json({
-          error:
-            'No se encontro posicion reciente del vehiculo para configurar Zona Segura. Intenta de nuevo cuando el equipo tenga señal.'
-        });
+        ultimaUbicacion = {
+          lat: position.latitude,
+          lon: position.longitude,
+          hora_utc: rawTime,
+          hora_local: horaLocal
+        };
+      }
+    } catch (err) {
+      console.error(
+        'Error obteniendo posicion al cerrar siniestro:',
+        err.message
+      );
+      if (err.response) {
+        console.error('Status:', err.response.status);
+        console.error('Data:', err.response.data);
       }
-      latCentro = position.latitude;
-      lonCentro = position.longitude;
-    } catch (e) {
-      console.error('Error obteniendo posicion para Zona Segura:', e.message);
-      return res.status(500).json({
-        error:
-          'Error consultando posicion actual del vehiculo para configurar Zona Segura.',
-        detalle: e.message
-      });
     }
 
-    const radioCliente = limite_m;
-    const radioInterno = radioCliente + 10;
+    const ahoraIso = new Date().toISOString();
 
-    const nuevaZona = {
-      nombre,
-      centro: { lat: latCentro, lon: lonCentro },
-      radio_cliente_m: radioCliente,
-      radio_interno_m: radioInterno,
-      diasSemana: diasAccion,
-      horaInicio,
-      horaFin,
-      activo: !!activo
-    };
+    siniestro.estado = 'cerrado';
+    siniestro.resultado = resultado;
+    siniestro.horaCierre = ahoraIso;
+    siniestro.ultimaUbicacionCierre = ultimaUbicacion;
+    siniestro.cerradoPor = req.actor || null;
+    agregarALineaTiempo(siniestro, 'cierre', req.actor, {
+      resultado,
+      ubicacion: ultimaUbicacion
+    });
 
-    config.zonaSegura = nuevaZona;
+    config.modoSiniestro = false;
     guardarVehiculos();
 
-    // Reiniciar estado de zona en memoria
-    ESTADO_ZONA[vehiculoId] = 'desconocido';
-
     return res.json({
       ok: true,
       vehiculoId,
       contratoId: config.contratoId,
-      zonaSegura: nuevaZona,
-      yaExistiaActiva: zonaActivaYa,
-      lejos_de_zona: false,
-      distancia_m: 0,
-      mensaje: nuevaZona.activo
-        ? 'Zona Segura configurada y activada correctamente.'
-        : 'Zona Segura configurada pero inactiva.'
+      resultado,
+      modoSiniestro: false,
+      reanudo_motor: reanudoMotor,
+      comandoId: comandoReanudacion ? comandoReanudacion.comandoId : null,
+      estado_comando: comandoReanudacion ? comandoReanudacion.estado : null,
+      siniestroId: siniestro.siniestroId,
+      horaInicio: siniestro.horaInicio,
+      horaCierre: ahoraIso,
+      ultima_ubicacion_cierre: ultimaUbicacion,
+      mensaje:
+        resultado === 'recuperado'
+          ? 'Siniestro cerrado. Vehiculo marcado como recuperado.'
+          : 'Siniestro cerrado. Vehiculo marcado como no recuperado.'
     });
   } catch (err) {
     console.error(
-      'Error en POST /api/vehiculos/:vehiculoId/zona-segura:',
+      'Error en POST /api/vehiculos/:vehiculoId/siniestro/cerrar:',
       err.message
     );
     if (err.response) {
@@ -1271,14 +6873,233 @@ app.post('/api/vehiculos/:vehiculoId/zona-segura', async (req, res) => {
       console.error('Data:', err.response.data);
     }
     return res.status(500).json({
-      error: 'Error configurando Zona Segura',
+      error: 'No se pudo cerrar el siniestro',
       detalle: err.response ? `${err.response.status}` : err.message
     });
   }
 });
 
-// Desactivar Zona Segura (Z2)
-app.post('/api/vehiculos/:vehiculoId/zona-segura/desactivar', (req, res) => {
+// S8 - Recorrido registrado durante un siniestro.
+// siniestroId opcional (por omision el abierto o el ultimo del vehiculo).
+// formato=json (default) o geojson (Feature con LineString; horas_utc va
+// alineado con las coordenadas).
+app.get('/api/vehiculos/:vehiculoId/siniestro/recorrido', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const formato = req.query.formato || 'json';
+  if (!['json', 'geojson'].includes(formato)) {
+    return res.status(400).json({ error: 'formato debe ser "json" o "geojson".' });
+  }
+
+  const siniestroId = req.query.siniestroId || config.siniestroId;
+  const siniestro = siniestroId ? SINIESTROS[siniestroId] : null;
+  if (!siniestro || siniestro.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Siniestro no encontrado' });
+  }
+
+  const zonaHoraria = zonaHorariaDe(config);
+  const puntos = [...puntosRecorridoSiniestro(siniestro)].map((punto) => ({
+    ...punto,
+    hora_local: utcToLocal(punto.hora_utc, zonaHoraria)
+  }));
+
+  const datos = {
+    vehiculoId,
+    contratoId: config.contratoId,
+    siniestroId: siniestro.siniestroId,
+    estado: siniestro.estado,
+    horaInicio: siniestro.horaInicio,
+    horaCierre: siniestro.horaCierre,
+    zona_horaria: zonaHoraria,
+    total: puntos.length
+  };
+
+  if (formato === 'geojson') {
+    res.type('application/geo+json');
+    return res.json({
+      type: 'Feature',
+      geometry:
+        puntos.length >= 2
+          ? { type: 'LineString', coordinates: puntos.map((p) => [p.lon, p.lat]) }
+          : null,
+      properties: {
+        ...datos,
+        horas_utc: puntos.map((p) => p.hora_utc),
+        velocidades_kmh: puntos.map((p) => p.velocidad_kmh)
+      }
+    });
+  }
+
+  return res.json({ ...datos, puntos });
+});
+
+// S5 - Historial de siniestros del vehiculo (mas reciente primero)
+app.get('/api/vehiculos/:vehiculoId/siniestros', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const siniestros = Object.values(SINIESTROS)
+    .filter((s) => s.vehiculoId === vehiculoId)
+    .sort((a, b) => String(b.horaInicio).localeCompare(String(a.horaInicio)))
+    .map(resumenSiniestro);
+
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    modoSiniestro: config.modoSiniestro === true,
+    siniestro_abierto: siniestroAbiertoDe(config)?.siniestroId || null,
+    total: siniestros.length,
+    siniestros
+  });
+});
+
+// S6 - Un siniestro con su linea de tiempo
+app.get('/api/vehiculos/:vehiculoId/siniestros/:siniestroId', permitir('lectura'), (req, res) => {
+  const { vehiculoId, siniestroId } = req.params;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const registro = SINIESTROS[siniestroId];
+  if (!registro || registro.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Siniestro no encontrado' });
+  }
+
+  return res.json(detalleSiniestro(registro));
+});
+
+// S7 - Agregar una nota a la linea de tiempo (solo con el siniestro abierto)
+app.post('/api/vehiculos/:vehiculoId/siniestros/:siniestroId/notas', permitir('siniestro'), (req, res) => {
+  const { vehiculoId, siniestroId } = req.params;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
+
+  const registro = SINIESTROS[siniestroId];
+  if (!registro || registro.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Siniestro no encontrado' });
+  }
+
+  if (registro.estado !== 'abierto') {
+    return res.status(409).json({
+      error: 'El siniestro ya esta cerrado; no admite notas.',
+      horaCierre: registro.horaCierre
+    });
+  }
+
+  const { texto } = req.body || {};
+  if (
+    typeof texto !== 'string' ||
+    !texto.trim() ||
+    texto.length > SINIESTRO_NOTA_MAX_CARACTERES
+  ) {
+    return res.status(400).json({
+      error: `texto es obligatorio (maximo ${SINIESTRO_NOTA_MAX_CARACTERES} caracteres).`
+    });
+  }
+
+  const nota = agregarALineaTiempo(registro, 'nota', req.actor, {
+    texto: texto.trim()
+  });
+
+  return res.status(201).json({
+    ok: true,
+    vehiculoId,
+    contratoId: config.contratoId,
+    siniestroId,
+    nota
+  });
+});
+
+// ---------------------------
+// 12) Zona horaria por contrato y por vehiculo
+// ---------------------------
+
+// Zona horaria de un contrato (aplica a todas sus unidades sin override)
+app.get('/api/contratos/:contratoId/zona-horaria', permitir('lectura'), (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const contrato = CONTRATOS[contratoId];
+  const zonaContrato = (contrato && contrato.zonaHoraria) || null;
+
+  return res.json({
+    contratoId,
+    zonaHoraria: zonaContrato,
+    zona_horaria_efectiva: zonaContrato || ZONA_HORARIA_DEFAULT,
+    zona_horaria_servidor: ZONA_HORARIA_DEFAULT
+  });
+});
+
+// Definir (o quitar con null) la zona horaria de un contrato
+app.post('/api/contratos/:contratoId/zona-horaria', permitir('gestion_vehiculos'), (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const { zonaHoraria } = req.body || {};
+
+  if (zonaHoraria !== null && !esZonaHorariaValida(zonaHoraria)) {
+    return res.status(400).json({
+      error:
+        'zonaHoraria debe ser un nombre IANA valido (ej. "America/Tijuana") o null para usar la del servidor.'
+    });
+  }
+
+  const contrato = obtenerOCrearContrato(contratoId);
+  const zonaAnterior = contrato.zonaHoraria || null;
+  contrato.zonaHoraria = zonaHoraria;
+  guardarContratos();
+
+  // Las ventanas de Zona Segura de sus unidades se reevaluan con la nueva hora
+  for (const [vehiculoId, v] of Object.entries(VEHICULOS)) {
+    if (v.contratoId === contratoId) reiniciarEstadoZona(vehiculoId);
+  }
+
+  return res.json({
+    ok: true,
+    contratoId,
+    zonaHorariaAnterior: zonaAnterior,
+    zonaHoraria,
+    zona_horaria_efectiva: zonaHoraria || ZONA_HORARIA_DEFAULT,
+    mensaje: zonaHoraria
+      ? `Zona horaria del contrato actualizada a ${zonaHoraria}.`
+      : 'Zona horaria del contrato eliminada. Se usa la del servidor.'
+  });
+});
+
+// Zona horaria efectiva de un vehiculo y de donde proviene
+app.get('/api/vehiculos/:vehiculoId/zona-horaria', permitir('lectura'), (req, res) => {
   const vehiculoId = req.params.vehiculoId;
   const config = VEHICULOS[vehiculoId];
 
@@ -1288,266 +7109,514 @@ app.post('/api/vehiculos/:vehiculoId/zona-segura/desactivar', (req, res) => {
       .json({ error: 'Vehiculo no configurado en el Orquestador' });
   }
 
-  const zona = config.zonaSegura;
+  const contrato = CONTRATOS[config.contratoId];
 
-  if (!zona) {
-    return res.json({
-      ok: false,
-      vehiculoId,
-      contratoId: config.contratoId,
-      mensaje: 'El vehiculo no tiene Zona Segura configurada.'
-    });
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    zona_horaria_vehiculo: config.zonaHoraria || null,
+    zona_horaria_contrato: (contrato && contrato.zonaHoraria) || null,
+    zona_horaria_servidor: ZONA_HORARIA_DEFAULT,
+    zona_horaria_efectiva: zonaHorariaDe(config),
+    origen: origenZonaHoraria(config)
+  });
+});
+
+// Definir (o quitar con null) el override de zona horaria de un vehiculo
+app.post('/api/vehiculos/:vehiculoId/zona-horaria', permitir('gestion_vehiculos'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
+
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
   }
 
-  if (zona.activo === false) {
-    return res.json({
-      ok: false,
-      vehiculoId,
-      contratoId: config.contratoId,
-      zonaSegura: {
-        nombre: zona.nombre,
-        activo: zona.activo
-      },
-      mensaje: 'La Zona Segura ya se encontraba desactivada.'
+  const { zonaHoraria } = req.body || {};
+
+  if (zonaHoraria !== null && !esZonaHorariaValida(zonaHoraria)) {
+    return res.status(400).json({
+      error:
+        'zonaHoraria debe ser un nombre IANA valido (ej. "America/Hermosillo") o null para heredar la del contrato.'
     });
   }
 
-  // Aquí sí desactivamos
-  zona.activo = false;
+  const zonaAnterior = config.zonaHoraria || null;
+  config.zonaHoraria = zonaHoraria;
   guardarVehiculos();
 
-  // Estado en memoria deja de importar, pero lo reseteamos por claridad
-  ESTADO_ZONA[vehiculoId] = 'desconocido';
+  // Las ventanas de Zona Segura se reevaluan con la nueva hora local
+  reiniciarEstadoZona(vehiculoId);
 
   return res.json({
     ok: true,
     vehiculoId,
     contratoId: config.contratoId,
-    zonaSegura: {
-      nombre: zona.nombre,
-      activo: zona.activo
-    },
-    mensaje:
-      'Zona Segura desactivada. La configuracion se mantiene pero no generara alertas.'
+    zonaHorariaAnterior: zonaAnterior,
+    zonaHoraria,
+    zona_horaria_efectiva: zonaHorariaDe(config),
+    origen: origenZonaHoraria(config),
+    mensaje: zonaHoraria
+      ? `Zona horaria del vehiculo actualizada a ${zonaHoraria}.`
+      : 'Override de zona horaria eliminado. El vehiculo hereda la del contrato.'
   });
 });
 
-// ACTIVAR Zona Segura existente
-app.post('/api/vehiculos/:vehiculoId/zona-segura/activar', (req, res) => {
-  const vehiculoId = req.params.vehiculoId;
-  const config = VEHICULOS[vehiculoId];
+// ---------------------------
+// 13) Lugares guardados por contrato
+// ---------------------------
 
-  if (!config) {
+// Listar lugares del contrato
+app.get('/api/contratos/:contratoId/lugares', permitir('lectura'), (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
     return res
       .status(404)
-      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+      .json({ error: 'Contrato no configurado en el Orquestador' });
   }
 
-  const zona = config.zonaSegura;
+  const lugares = lugaresDe(contratoId);
 
-  if (!zona) {
-    return res.status(409).json({
-      error: 'El vehiculo no tiene Zona Segura configurada. Debe crearla primero.'
+  return res.json({
+    contratoId,
+    total: lugares.length,
+    lugares
+  });
+});
+
+// Obtener un lugar
+app.get('/api/contratos/:contratoId/lugares/:lugarId', permitir('lectura'), (req, res) => {
+  const { contratoId, lugarId } = req.params;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const lugar = lugaresDe(contratoId).find((l) => l.id === lugarId);
+  if (!lugar) {
+    return res.status(404).json({ error: 'Lugar no encontrado: ' + lugarId });
+  }
+
+  return res.json({ contratoId, lugar });
+});
+
+// Crear o actualizar un lugar. Las zonas ya creadas con este lugar conservan
+// el centro que tenian; para moverlas hay que volver a enviar lugarId.
+app.put('/api/contratos/:contratoId/lugares/:lugarId', permitir('gestion_vehiculos'), (req, res) => {
+  const { contratoId, lugarId } = req.params;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  if (!LUGAR_ID_REGEX.test(lugarId)) {
+    return res.status(400).json({
+      error:
+        'lugarId solo puede contener letras, numeros, "-" y "_" (maximo 40 caracteres).'
     });
   }
 
-  if (zona.activo === true) {
-    return res.json({
-      ok: false,
-      vehiculoId,
-      contratoId: config.contratoId,
-      zonaSegura: {
-        nombre: zona.nombre,
-        activo: zona.activo
-      },
-      mensaje: 'La Zona Segura ya se encontraba activada.'
+  const { nombre, lat, lon, direccion } = req.body || {};
+
+  if (!nombre || typeof nombre !== 'string') {
+    return res
+      .status(400)
+      .json({ error: 'nombre es obligatorio y debe ser string.' });
+  }
+
+  if (!esCoordenadaValida({ lat, lon })) {
+    return res
+      .status(400)
+      .json({ error: 'lat y lon son obligatorios y deben ser coordenadas validas.' });
+  }
+
+  const otroConNombre = lugaresDe(contratoId).find(
+    (l) => l.id !== lugarId && l.nombre.toLowerCase() === nombre.toLowerCase()
+  );
+  if (otroConNombre) {
+    return res.status(409).json({
+      error: `Ya existe otro lugar con el nombre "${nombre}" (${otroConNombre.id}).`
     });
   }
 
-  // Activamos la zona
-  zona.activo = true;
-  guardarVehiculos();
+  const contrato = obtenerOCrearContrato(contratoId);
+  if (!Array.isArray(contrato.lugares)) contrato.lugares = [];
 
-  // Reiniciamos el estado en memoria para que el motor vuelva a evaluarla
-  ESTADO_ZONA[vehiculoId] = 'desconocido';
+  const ahora = new Date().toISOString();
+  const existente = contrato.lugares.find((l) => l.id === lugarId);
+
+  const lugar = {
+    id: lugarId,
+    nombre,
+    lat,
+    lon,
+    direccion: typeof direccion === 'string' ? direccion : null,
+    fechaAlta: existente ? existente.fechaAlta : ahora,
+    fechaActualizacion: ahora
+  };
+
+  contrato.lugares = existente
+    ? contrato.lugares.map((l) => (l.id === lugarId ? lugar : l))
+    : [...contrato.lugares, lugar];
+  guardarContratos();
 
   return res.json({
     ok: true,
-    vehiculoId,
-    contratoId: config.contratoId,
-    zonaSegura: {
-      nombre: zona.nombre,
-      activo: zona.activo
-    },
-    mensaje: 'Zona Segura activada correctamente.'
+    contratoId,
+    creado: !existente,
+    lugar,
+    mensaje: existente ? 'Lugar actualizado.' : 'Lugar guardado.'
   });
 });
 
+// Eliminar un lugar
+app.delete('/api/contratos/:contratoId/lugares/:lugarId', permitir('gestion_vehiculos'), (req, res) => {
+  const { contratoId, lugarId } = req.params;
 
-// Obtener configuracion de Zona Segura
-app.get('/api/vehiculos/:vehiculoId/zona-segura', (req, res) => {
-  const vehiculoId = req.params.vehiculoId;
-  const config = VEHICULOS[vehiculoId];
-
-  if (!config) {
+  if (!contratoExiste(contratoId)) {
     return res
       .status(404)
-      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+      .json({ error: 'Contrato no configurado en el Orquestador' });
   }
 
-  if (!config.zonaSegura) {
-    return res.json({
-      vehiculoId,
-      contratoId: config.contratoId,
-      tiene_zona_segura: false,
-      zonaSegura: null
-    });
+  const lugar = lugaresDe(contratoId).find((l) => l.id === lugarId);
+  if (!lugar) {
+    return res.status(404).json({ error: 'Lugar no encontrado: ' + lugarId });
   }
 
+  const contrato = CONTRATOS[contratoId];
+  contrato.lugares = contrato.lugares.filter((l) => l.id !== lugarId);
+  guardarContratos();
+
   return res.json({
-    vehiculoId,
-    contratoId: config.contratoId,
-    tiene_zona_segura: true,
-    zonaSegura: config.zonaSegura
+    ok: true,
+    contratoId,
+    lugarEliminado: lugar,
+    mensaje: 'Lugar eliminado. Las Zonas Seguras creadas con el conservan su centro.'
   });
 });
 
-// Evaluar si el vehiculo esta dentro/fuera de la Zona Segura (consulta puntual)
-app.get('/api/vehiculos/:vehiculoId/check-zona-segura', async (req, res) => {
-  try {
-    const vehiculoId = req.params.vehiculoId;
-    const config = VEHICULOS[vehiculoId];
+// ---------------------------
+// 14) Contratos
+// ---------------------------
 
-    if (!config) {
-      return res
-        .status(404)
-        .json({ error: 'Vehiculo no configurado en el Orquestador' });
-    }
+function respuestaContrato(contratoId) {
+  const contrato = obtenerOCrearContrato(contratoId);
+  const unidades = unidadesDeContrato(contratoId).map(([vehiculoId, config]) =>
+    resumenVehiculo(vehiculoId, config)
+  );
 
-    if (config.activo === false) {
-      return res.status(409).json({
-        error: 'Vehiculo inactivo; no se evalua Zona Segura.',
-        motivo_inactivacion: config.motivoInactivacion || null
-      });
-    }
+  return {
+    ...contrato,
+    resumen_unidades: {
+      total: unidades.length,
+      activas: unidades.filter((u) => u.activo).length,
+      inactivas: unidades.filter((u) => !u.activo).length,
+      en_siniestro: unidades.filter((u) => u.modoSiniestro).length,
+      con_motor_cortado: unidades.filter(
+        (u) => u.estado_corte === 'cortado'
+      ).length
+    },
+    unidades
+  };
+}
 
-    if (!config.uniqueId) {
-      return res.status(409).json({
+// Datos del contrato y sus unidades con estado.
+// traccar=true agrega el estado online de cada device.
+app.get('/api/contratos/:contratoId', permitir('lectura'), async (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const conTraccar = parametroBooleano(req.query.traccar);
+  if (conTraccar === null) {
+    return res.status(400).json({ error: 'traccar debe ser "true" o "false".' });
+  }
+
+  const respuesta = respuestaContrato(contratoId);
+
+  if (conTraccar && respuesta.unidades.length > 0) {
+    if (!aplicarPresupuesto('traccar', req, res)) return;
+    const errorTraccar = await agregarEstadoTraccar(respuesta.unidades);
+    if (errorTraccar) respuesta.error_traccar = errorTraccar;
+  }
+
+  return res.json(respuesta);
+});
+
+// Actualiza datos de contacto del titular (email, telefono, rfc) y la lista
+// de contactos. El nombre del titular se cambia con /cambiar-titular.
+app.put('/api/contratos/:contratoId', permitir('gestion_vehiculos'), (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const { titular, contactos } = req.body || {};
+
+  if (titular !== undefined) {
+    if (!titular || typeof titular !== 'object') {
+      return res.status(400).json({ error: 'titular debe ser un objeto.' });
+    }
+    if (titular.nombre !== undefined) {
+      return res.status(400).json({
         error:
-          'El vehiculo no tiene uniqueId asignado. No se puede evaluar Zona Segura.'
+          'El nombre del titular se cambia con POST /api/contratos/:contratoId/cambiar-titular.'
       });
     }
+    const error = validarDatosContacto(titular, 'titular.');
+    if (error) return res.status(400).json({ error });
+  }
 
-    if (!config.zonaSegura) {
-      return res.json({
-        vehiculoId,
-        contratoId: config.contratoId,
-        tiene_zona_segura: false,
-        activa: false,
-        aplica_ventana: false,
-        fuera_de_zona: false,
-        motivo: 'SIN_CONFIG'
-      });
+  if (contactos !== undefined) {
+    const error = validarContactos(contactos);
+    if (error) return res.status(400).json({ error });
+  }
+
+  const contrato = obtenerOCrearContrato(contratoId);
+
+  if (titular !== undefined) {
+    for (const campo of ['email', 'telefono', 'rfc']) {
+      if (titular[campo] !== undefined) contrato.titular[campo] = titular[campo];
     }
+  }
+  if (contactos !== undefined) {
+    contrato.contactos = contactos.map(normalizarContacto);
+  }
+  contrato.fechaActualizacion = new Date().toISOString();
 
-    const {
-      centro,
-      radio_cliente_m,
-      radio_interno_m,
-      diasSemana,
-      horaInicio,
-      horaFin,
-      activo: zonaActiva
-    } = config.zonaSegura;
+  guardarContratos();
 
-    if (!zonaActiva) {
-      return res.json({
-        vehiculoId,
-        contratoId: config.contratoId,
-        tiene_zona_segura: true,
-        activa: false,
-        aplica_ventana: false,
-        fuera_de_zona: false,
-        motivo: 'ZONA_INACTIVA'
-      });
+  return res.json({ ok: true, ...respuestaContrato(contratoId) });
+});
+
+// Inactiva el contrato y todas sus unidades activas. Las unidades quedan
+// marcadas para que /reactivar del contrato solo reactive las que inactivo.
+app.post('/api/contratos/:contratoId/inactivar', permitir('gestion_vehiculos'), (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const { motivo } = req.body || {};
+
+  if (!['impago', 'cancelacion'].includes(motivo)) {
+    return res
+      .status(400)
+      .json({ error: 'motivo debe ser "impago" o "cancelacion".' });
+  }
+
+  const ahora = new Date().toISOString();
+  const contrato = obtenerOCrearContrato(contratoId);
+  const yaEstabaInactivo = contrato.activo === false;
+
+  contrato.activo = false;
+  contrato.motivoInactivacion = motivo;
+  contrato.fechaInactivacion = ahora;
+
+  const inactivadas = [];
+  const yaInactivas = [];
+  for (const [vehiculoId, config] of unidadesDeContrato(contratoId)) {
+    if (config.activo === false) {
+      yaInactivas.push(vehiculoId);
+      continue;
     }
+    config.activo = false;
+    config.motivoInactivacion = motivo;
+    config.fechaInactivacion = ahora;
+    config.inactivadoPorContrato = true;
+    inactivadas.push(vehiculoId);
+  }
+
+  guardarContratos();
+  guardarVehiculos();
+
+  return res.json({
+    ok: true,
+    contratoId,
+    activo: false,
+    motivoInactivacion: motivo,
+    yaEstabaInactivo,
+    unidades_inactivadas: inactivadas,
+    unidades_ya_inactivas: yaInactivas,
+    mensaje: `Contrato inactivado por motivo "${motivo}". ${inactivadas.length} unidades inactivadas.`
+  });
+});
 
-    const ahoraLocal = DateTime.now().setZone('America/Mexico_City');
-    const diaCodigo = codigoDiaSemanaMx(ahoraLocal);
+// Reactiva el contrato y las unidades que se inactivaron con el contrato.
+// Unidades inactivadas individualmente o sin dispositivo no se tocan.
+app.post('/api/contratos/:contratoId/reactivar', permitir('gestion_vehiculos'), (req, res) => {
+  const contratoId = req.params.contratoId;
 
-    const aplicaDia = diasSemana.includes(diaCodigo);
-    const aplicaHora = horaDentroDeVentana(horaInicio, horaFin, ahoraLocal);
-    const aplicaVentana = aplicaDia && aplicaHora;
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
 
-    if (!aplicaVentana) {
-      return res.json({
+  const contrato = obtenerOCrearContrato(contratoId);
+
+  if (contrato.activo !== false) {
+    return res.json({
+      ok: false,
+      contratoId,
+      activo: true,
+      mensaje: 'El contrato ya se encontraba activo.'
+    });
+  }
+
+  const ahora = new Date().toISOString();
+  contrato.activo = true;
+  contrato.motivoInactivacion = null;
+  contrato.fechaReactivacion = ahora;
+
+  const reactivadas = [];
+  const omitidas = [];
+  for (const [vehiculoId, config] of unidadesDeContrato(contratoId)) {
+    if (config.activo !== false) continue;
+
+    if (config.inactivadoPorContrato !== true) {
+      omitidas.push({
         vehiculoId,
-        contratoId: config.contratoId,
-        tiene_zona_segura: true,
-        activa: true,
-        aplica_ventana: false,
-        fuera_de_zona: false,
-        motivo: 'FUERA_HORARIO_O_DIA'
+        motivo: 'Inactivada individualmente; reactivar por vehiculo.'
       });
+      continue;
     }
-
-    const { position } = await getDeviceAndPositionByUniqueId(config.uniqueId);
-    if (!position) {
-      return res.status(500).json({
-        error:
-          'No se encontro posicion reciente para evaluar Zona Segura.'
+    if (!config.uniqueId) {
+      omitidas.push({
+        vehiculoId,
+        motivo: 'Sin dispositivo (uniqueId) asignado.'
       });
+      continue;
     }
 
-    const lat = position.latitude;
-    const lon = position.longitude;
+    config.activo = true;
+    config.motivoInactivacion = null;
+    config.fechaReactivacion = ahora;
+    config.inactivadoPorContrato = false;
+    reactivadas.push(vehiculoId);
+  }
 
-    const dist = distanciaMetros(centro.lat, centro.lon, lat, lon);
-    const radioEval = radio_interno_m;
-    const fuera = dist > radioEval;
+  guardarContratos();
+  guardarVehiculos();
 
-    const rawTime =
-      position.serverTime || position.deviceTime || position.fixTime || null;
-    const horaLocalStr = utcToLocalMx(rawTime);
+  return res.json({
+    ok: true,
+    contratoId,
+    activo: true,
+    unidades_reactivadas: reactivadas,
+    unidades_omitidas: omitidas,
+    mensaje: `Contrato reactivado. ${reactivadas.length} unidades reactivadas.`
+  });
+});
 
-    return res.json({
-      vehiculoId,
-      contratoId: config.contratoId,
-      tiene_zona_segura: true,
-      activa: true,
-      aplica_ventana: true,
-      fuera_de_zona: fuera,
-      distancia_m: dist,
-      radio_cliente_m,
-      radio_interno_m,
-      lat,
-      lon,
-      hora_ultima_posicion_utc: rawTime,
-      hora_ultima_posicion_local: horaLocalStr,
-      evento_sugerido: fuera ? 'FUERA_DE_ZONA_SEGURA' : null
-    });
-  } catch (err) {
-    console.error(
-      'Error en GET /api/vehiculos/:vehiculoId/check-zona-segura:',
-      err.message
-    );
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
+// Cambia el titular del contrato, lo copia a todas sus unidades y renombra
+// sus devices en Traccar. Los datos de contacto del titular anterior se
+// reemplazan por los enviados (o se limpian).
+app.post('/api/contratos/:contratoId/cambiar-titular', permitir('gestion_vehiculos'), limitar('traccar'), async (req, res) => {
+  const contratoId = req.params.contratoId;
+
+  if (!contratoExiste(contratoId)) {
+    return res
+      .status(404)
+      .json({ error: 'Contrato no configurado en el Orquestador' });
+  }
+
+  const { nombreTitular, email, telefono, rfc } = req.body || {};
+
+  if (typeof nombreTitular !== 'string' || !nombreTitular.trim()) {
+    return res.status(400).json({ error: 'nombreTitular es requerido.' });
+  }
+  const error = validarDatosContacto({ email, telefono, rfc }, '');
+  if (error) return res.status(400).json({ error });
+
+  const contrato = obtenerOCrearContrato(contratoId);
+  const titularAnterior = contrato.titular.nombre;
+  const nuevoNombre = nombreTitular.trim();
+
+  contrato.titular = {
+    nombre: nuevoNombre,
+    email: email || null,
+    telefono: telefono || null,
+    rfc: rfc || null
+  };
+  contrato.fechaCambioTitular = new Date().toISOString();
+
+  const unidades = unidadesDeContrato(contratoId);
+  for (const [, config] of unidades) {
+    config.nombreTitular = nuevoNombre;
+  }
+
+  guardarContratos();
+  guardarVehiculos();
+
+  // Renombrar devices; un error en una unidad no detiene a las demas
+  const renombrados = [];
+  const erroresTraccar = [];
+  for (const [vehiculoId, config] of unidades) {
+    if (!config.uniqueId) continue;
+    try {
+      const device = await crearOActualizarDeviceEnTraccar(
+        config.uniqueId,
+        nombreDeviceTraccar(config)
+      );
+      renombrados.push({
+        vehiculoId,
+        traccarDeviceId: device.id,
+        nombre: device.name
+      });
+    } catch (err) {
+      console.error(
+        `Error renombrando device de ${vehiculoId} al cambiar titular:`,
+        err.message
+      );
+      erroresTraccar.push({
+        vehiculoId,
+        detalle: err.response ? `${err.response.status}` : err.message
+      });
     }
-    return res.status(500).json({
-      error: 'Error evaluando Zona Segura',
-      detalle: err.response ? `${err.response.status}` : err.message
-    });
   }
+
+  return res.json({
+    ok: erroresTraccar.length === 0,
+    contratoId,
+    titularAnterior,
+    titular: contrato.titular,
+    unidades_actualizadas: unidades.map(([vehiculoId]) => vehiculoId),
+    dispositivos_renombrados: renombrados,
+    errores_traccar: erroresTraccar,
+    mensaje:
+      erroresTraccar.length === 0
+        ? 'Titular actualizado en el contrato, sus unidades y Traccar.'
+        : 'Titular actualizado en el Orquestador; algunos devices no se pudieron renombrar en Traccar.'
+  });
 });
 
 // ---------------------------
-// 11) Siniestros: iniciar y cerrar
+// 15) Programacion de corte / reanudacion
 // ---------------------------
 
-// S1 - Iniciar protocolo de siniestro
-app.post('/api/vehiculos/:vehiculoId/siniestro/iniciar', (req, res) => {
+// Body: accion (corte | reanudacion), modo (solo corte: inmediato | seguro),
+// tipo (unica | recurrente), hora HH:mm local, fecha YYYY-MM-DD (unica) o
+// diasSemana (recurrente). Un corte programado se ejecuta sin codigo de
+// confirmacion, por eso programarlo exige 'corte_sin_confirmacion'.
+app.post('/api/vehiculos/:vehiculoId/programaciones', permitir('comandos_motor'), (req, res) => {
   const vehiculoId = req.params.vehiculoId;
   const config = VEHICULOS[vehiculoId];
 
@@ -1557,174 +7626,133 @@ app.post('/api/vehiculos/:vehiculoId/siniestro/iniciar', (req, res) => {
       .json({ error: 'Vehiculo no configurado en el Orquestador' });
   }
 
-  if (config.activo === false) {
-    return res.status(409).json({
-      error: 'Vehiculo inactivo; no se puede iniciar siniestro.',
-      motivo_inactivacion: config.motivoInactivacion || null
-    });
+  const datos = req.body || {};
+  const error = validarProgramacion(datos);
+  if (error) {
+    return res.status(400).json({ error });
   }
 
-  const { causa, canal } = req.body || {};
-  const yaEnSiniestro = config.modoSiniestro === true;
-
-  const ahoraIso = new Date().toISOString();
+  if (datos.accion === 'corte' && requiereConfirmacionCorte(req.apiKey)) {
+    return res.status(403).json({
+      error:
+        'La API key no tiene el permiso "corte_sin_confirmacion"; no puede programar cortes.'
+    });
+  }
 
-  config.modoSiniestro = true;
-  config.siniestro = {
-    activo: true,
-    causa: causa || null,
-    canal: canal || null,
-    horaInicio: ahoraIso,
-    horaCierre: null,
-    resultado: null,
-    ultimaUbicacionCierre: null
+  const ahora = DateTime.utc();
+  const programacion = {
+    programacionId: 'prog-' + crypto.randomUUID(),
+    vehiculoId,
+    contratoId: config.contratoId,
+    accion: datos.accion,
+    modo: datos.accion === 'corte' ? datos.modo || 'inmediato' : null,
+    tipo: datos.tipo,
+    fecha: datos.tipo === 'unica' ? datos.fecha : null,
+    hora: datos.hora,
+    diasSemana: datos.tipo === 'recurrente' ? [...new Set(datos.diasSemana)] : null,
+    estado: 'activa',
+    proximaEjecucion: null,
+    ultimaEjecucion: null,
+    ejecuciones: [],
+    creadaEn: ahora.toISO(),
+    creadaPor: req.actor || null,
+    actualizadaEn: ahora.toISO(),
+    canceladaEn: null,
+    canceladaPor: null
   };
 
-  guardarVehiculos();
+  const zonaHoraria = zonaHorariaDe(config);
+  programacion.proximaEjecucion = siguienteEjecucionProgramacion(
+    programacion,
+    zonaHoraria,
+    ahora
+  );
+  if (!programacion.proximaEjecucion) {
+    return res.status(400).json({
+      error: `La fecha y hora indicadas ya pasaron en la zona horaria ${zonaHoraria}.`
+    });
+  }
 
-  return res.json({
+  PROGRAMACIONES[programacion.programacionId] = programacion;
+  guardarProgramaciones();
+
+  return res.status(201).json({
     ok: true,
-    vehiculoId,
-    contratoId: config.contratoId,
-    modoSiniestro: true,
-    yaEnSiniestro,
-    causa: config.siniestro.causa,
-    canal: config.siniestro.canal,
-    horaInicio: ahoraIso,
-    mensaje: `Siniestro iniciado para el vehiculo ${vehiculoId}.`
+    ...resumenProgramacion(programacion),
+    advertencia:
+      config.activo === false || config.modoSiniestro === true
+        ? 'El vehiculo esta inactivo o en modo siniestro; las ejecuciones se omitiran mientras siga asi.'
+        : null
   });
 });
 
-// S4 - Cerrar siniestro (con reanudacion si corresponde)
-app.post('/api/vehiculos/:vehiculoId/siniestro/cerrar', async (req, res) => {
-  try {
-    const vehiculoId = req.params.vehiculoId;
-    const config = VEHICULOS[vehiculoId];
-
-    if (!config) {
-      return res
-        .status(404)
-        .json({ error: 'Vehiculo no configurado en el Orquestador' });
-    }
-
-    const { resultado } = req.body || {};
-    if (!['recuperado', 'no_recuperado'].includes(resultado)) {
-      return res.status(400).json({
-        error: 'resultado debe ser "recuperado" o "no_recuperado".'
-      });
-    }
+// estado=activa | completada | cancelada (opcional)
+app.get('/api/vehiculos/:vehiculoId/programaciones', permitir('lectura'), (req, res) => {
+  const vehiculoId = req.params.vehiculoId;
+  const config = VEHICULOS[vehiculoId];
 
-    if (!config.uniqueId) {
-      return res.status(409).json({
-        error:
-          'El vehiculo no tiene uniqueId asignado. No se puede cerrar siniestro con reanudacion.'
-      });
-    }
+  if (!config) {
+    return res
+      .status(404)
+      .json({ error: 'Vehiculo no configurado en el Orquestador' });
+  }
 
-    let reanudoMotor = false;
-    let comandoId = null;
+  const { estado } = req.query;
+  if (estado !== undefined && !['activa', 'completada', 'cancelada'].includes(estado)) {
+    return res.status(400).json({
+      error: 'estado debe ser "activa", "completada" o "cancelada".'
+    });
+  }
 
-    if (ESTADO_CORTE[vehiculoId] === 'cortado') {
-      try {
-        const { command } = await sendCommandToDevice(
-          config.uniqueId,
-          'engineResume'
-        );
-        ESTADO_CORTE[vehiculoId] = 'normal';
-        reanudoMotor = true;
-        comandoId = command.id;
-      } catch (err) {
-        console.error(
-          'Error reanudando motor al cerrar siniestro:',
-          err.message
-        );
-        if (err.response) {
-          console.error('Status:', err.response.status);
-          console.error('Data:', err.response.data);
-        }
-        return res.status(500).json({
-          error: 'No se pudo reanudar el motor al cerrar el siniestro',
-          detalle: err.response ? `${err.response.status}` : err.message
-        });
-      }
-    }
+  const programaciones = Object.values(PROGRAMACIONES)
+    .filter((p) => p.vehiculoId === vehiculoId && (!estado || p.estado === estado))
+    .sort((a, b) => Date.parse(b.creadaEn) - Date.parse(a.creadaEn))
+    .map(resumenProgramacion);
 
-    let ultimaUbicacion = null;
-    try {
-      const { position } = await getDeviceAndPositionByUniqueId(
-        config.uniqueId
-      );
-      if (position) {
-        const rawTime =
-          position.serverTime ||
-          position.deviceTime ||
-          position.fixTime ||
-          null;
+  return res.json({
+    vehiculoId,
+    contratoId: config.contratoId,
+    zona_horaria: zonaHorariaDe(config),
+    total: programaciones.length,
+    programaciones
+  });
+});
 
-        const horaLocal = utcToLocalMx(rawTime);
+app.get('/api/vehiculos/:vehiculoId/programaciones/:programacionId', permitir('lectura'), (req, res) => {
+  const { vehiculoId, programacionId } = req.params;
+  const programacion = PROGRAMACIONES[programacionId];
 
-        ultimaUbicacion = {
-          lat: position.latitude,
-          lon: position.longitude,
-          hora_utc: rawTime,
-          hora_local: horaLocal
-        };
-      }
-    } catch (err) {
-      console.error(
-        'Error obteniendo posicion al cerrar siniestro:',
-        err.message
-      );
-      if (err.response) {
-        console.error('Status:', err.response.status);
-        console.error('Data:', err.response.data);
-      }
-    }
+  if (!programacion || programacion.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Programacion no encontrada' });
+  }
 
-    const ahoraIso = new Date().toISOString();
+  return res.json(resumenProgramacion(programacion));
+});
 
-    config.modoSiniestro = false;
-    config.siniestro = {
-      ...(config.siniestro || {}),
-      activo: false,
-      resultado,
-      horaInicio: (config.siniestro && config.siniestro.horaInicio) || null,
-      horaCierre: ahoraIso,
-      ultimaUbicacionCierre: ultimaUbicacion
-    };
+// Cancela la programacion (se conserva con estado 'cancelada')
+app.delete('/api/vehiculos/:vehiculoId/programaciones/:programacionId', permitir('comandos_motor'), (req, res) => {
+  const { vehiculoId, programacionId } = req.params;
+  const programacion = PROGRAMACIONES[programacionId];
 
-    guardarVehiculos();
+  if (!programacion || programacion.vehiculoId !== vehiculoId) {
+    return res.status(404).json({ error: 'Programacion no encontrada' });
+  }
 
-    return res.json({
-      ok: true,
-      vehiculoId,
-      contratoId: config.contratoId,
-      resultado,
-      modoSiniestro: false,
-      reanudo_motor: reanudoMotor,
-      comandoId,
-      horaInicio: config.siniestro.horaInicio,
-      horaCierre: ahoraIso,
-      ultima_ubicacion_cierre: ultimaUbicacion,
-      mensaje:
-        resultado === 'recuperado'
-          ? 'Siniestro cerrado. Vehiculo marcado como recuperado.'
-          : 'Siniestro cerrado. Vehiculo marcado como no recuperado.'
-    });
-  } catch (err) {
-    console.error(
-      'Error en POST /api/vehiculos/:vehiculoId/siniestro/cerrar:',
-      err.message
-    );
-    if (err.response) {
-      console.error('Status:', err.response.status);
-      console.error('Data:', err.response.data);
-    }
-    return res.status(500).json({
-      error: 'No se pudo cerrar el siniestro',
-      detalle: err.response ? `${err.response.status}` : err.message
+  if (programacion.estado !== 'activa') {
+    return res.status(409).json({
+      error: `La programacion ya esta ${programacion.estado}.`
     });
   }
+
+  const ahoraIso = new Date().toISOString();
+  programacion.estado = 'cancelada';
+  programacion.proximaEjecucion = null;
+  programacion.canceladaEn = ahoraIso;
+  programacion.canceladaPor = req.actor || null;
+  programacion.actualizadaEn = ahoraIso;
+  guardarProgramaciones();
+
+  return res.json({ ok: true, ...resumenProgramacion(programacion) });
 });
 
 // ---------------------------
@@ -1746,4 +7774,63 @@ app.listen(PORT, () => {
   } else {
     console.log('Motor de Zona Segura desactivado (intervalo <= 0).');
   }
+
+  if (ORQ_EVENT_URL) {
+    setInterval(() => {
+      procesarOutbox().catch((err) =>
+        console.error('Error procesando outbox:', err.message)
+      );
+    }, OUTBOX_INTERVALO_MS);
+    console.log(
+      `Outbox de eventos activo. Pendientes: ${OUTBOX.pendientes.length}, fallidos: ${OUTBOX.fallidos.length}.`
+    );
+  }
+
+  setInterval(limpiarContadoresLimite, VENTANA_LIMITE_MS);
+  setInterval(limpiarDesafiosCorte, VENTANA_LIMITE_MS);
+
+  if (SINIESTRO_INTERVALO_SEGUNDOS > 0) {
+    setInterval(() => {
+      seguirSiniestrosAbiertos().catch((err) =>
+        console.error('Error en seguimiento de siniestros:', err.message)
+      );
+    }, SINIESTRO_INTERVALO_SEGUNDOS * 1000);
+    console.log(
+      `Seguimiento de siniestros activo. Intervalo: ${SINIESTRO_INTERVALO_SEGUNDOS} segundos, eventos cada ${SINIESTRO_EVENTO_INTERVALO_SEGUNDOS} segundos.`
+    );
+  }
+
+  reconciliarEstadoCorteConTraccar().catch((err) =>
+    console.error('Error reconciliando estado de corte con Traccar:', err.message)
+  );
+
+  if (CORTE_SEGURO_INTERVALO_SEGUNDOS > 0) {
+    setInterval(() => {
+      revisarCortesSeguros().catch((err) =>
+        console.error('Error revisando cortes seguros:', err.message)
+      );
+    }, CORTE_SEGURO_INTERVALO_SEGUNDOS * 1000);
+  }
+
+  if (PROGRAMACIONES_INTERVALO_SEGUNDOS > 0) {
+    setInterval(() => {
+      revisarProgramaciones().catch((err) =>
+        console.error('Error revisando programaciones:', err.message)
+      );
+    }, PROGRAMACIONES_INTERVALO_SEGUNDOS * 1000);
+    console.log(
+      `Programacion de comandos activa. Intervalo: ${PROGRAMACIONES_INTERVALO_SEGUNDOS} segundos.`
+    );
+  }
+
+  if (COMANDOS_INTERVALO_SEGUNDOS > 0) {
+    setInterval(() => {
+      revisarComandosPendientes().catch((err) =>
+        console.error('Error revisando comandos pendientes:', err.message)
+      );
+    }, COMANDOS_INTERVALO_SEGUNDOS * 1000);
+    console.log(
+      `Seguimiento de comandos activo. Intervalo: ${COMANDOS_INTERVALO_SEGUNDOS} segundos, tiempo limite: ${COMANDO_TIMEOUT_SEGUNDOS} segundos.`
+    );
+  }
 });
\ No newline at end of file